@@ -1,6 +1,9 @@
 const { launch: puppeteerLaunch } = require('puppeteer-core');
 const { launch, getStream } = require('puppeteer-stream');
 const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
+const EventEmitter = require('events');
 const child_process = require('child_process');
 const process = require('process');
 const path = require('path');
@@ -24,8 +27,9 @@ process.on('unhandledRejection', function (reason) {
     process.exit(1);
     return;
   }
+  // A stray promise in one session shouldn't take every viewer down with it
   console.error('Unhandled rejection:', reason);
-  process.exit(1);
+  incCounter('cc4c_unhandled_rejections_total');
 });
 // ---------------------------------------------------------------------
 
@@ -73,12 +77,123 @@ const argv = require('yargs')
     type: 'boolean',
     default: false,
   })
+  .option('tuners', {
+    alias: 't',
+    description: 'Number of tuners, which is also the maximum number of concurrent streams',
+    type: 'number',
+    default: 2,
+  })
   .option('outputFormat', {
     alias: 'o',
-    description: 'Output format: webm or mpegts',
+    description: 'Output format: webm, mpegts, or hls (playlist links to /hls, tuners still get mpegts)',
     type: 'string',
     default: 'mpegts',
-    choices: ['webm', 'mpegts'],
+    choices: ['webm', 'mpegts', 'hls'],
+  })
+  .option('hlsIdleTimeout', {
+    description: 'Seconds without HLS segment requests before the capture is stopped',
+    type: 'number',
+    default: 30,
+  })
+  .option('guideSources', {
+    description: 'Comma separated guide sources for /epg.xml, in priority order (file, browser)',
+    type: 'string',
+    default: 'file,browser',
+  })
+  .option('guideTimezone', {
+    description: 'Timezone the browse page shows programme times in (IANA name)',
+    type: 'string',
+    default: 'Australia/Sydney',
+  })
+  .option('guideRefreshHours', {
+    description: 'Hours between guide refreshes (0 disables refreshing)',
+    type: 'number',
+    default: 6,
+  })
+  .option('recordingsDir', {
+    description: 'Folder for scheduled recordings. Defaults to recordings in the data directory',
+    type: 'string',
+  })
+  .option('deviceId', {
+    description: 'HDHomeRun device id to advertise instead of the generated one (KAYO1234 keeps DVRs set up before ids were generated)',
+    type: 'string',
+  })
+  .option('advertiseHost', {
+    description: 'Address announced to HDHomeRun/SSDP clients. Defaults to the local address on the client\'s subnet',
+    type: 'string',
+  })
+  .option('watchdogStallSeconds', {
+    description: 'Seconds of frozen playback before a stream is re-tuned (0 disables the watchdog)',
+    type: 'number',
+    default: 30,
+  })
+  .option('warmPool', {
+    description: 'Tabs kept loaded on the browse page, ready to tune (0 disables, at most one per tuner)',
+    type: 'number',
+    default: 0,
+  })
+  .option('warmPoolIdleMinutes', {
+    description: 'Close warm tabs after this many minutes without a stream; they warm up again on the next one (0 keeps them)',
+    type: 'number',
+    default: 0,
+  })
+  .option('warmPoolRefreshMinutes', {
+    description: 'Reload warm tabs that have sat this long so they do not go stale (0 never reloads)',
+    type: 'number',
+    default: 30,
+  })
+  .option('tuningSlate', {
+    description: 'Stream a "Tuning..." picture to MPEG-TS viewers while the channel loads, and an error picture if it fails',
+    type: 'boolean',
+    default: true,
+  })
+  .option('zapHoldSeconds', {
+    description: 'Seconds a session stays tuned after its last viewer leaves, so a request for another channel can switch it in place (0 disables)',
+    type: 'number',
+    default: 10,
+  })
+  .option('allowIps', {
+    description: 'Comma-separated IP addresses and CIDR ranges allowed to use the server (default: everyone)',
+    type: 'string',
+  })
+  .option('adminAllowIps', {
+    description: 'Comma-separated IP addresses and CIDR ranges allowed to use the web pages and /api (default: same as allowIps)',
+    type: 'string',
+  })
+  .option('adminUser', {
+    description: 'User name for the web pages and /api (basic auth, see --adminPassword)',
+    type: 'string',
+    default: 'admin',
+  })
+  .option('adminPassword', {
+    description: 'Password for the web pages and /api. Unset leaves them open unless --apiKey is set',
+    type: 'string',
+  })
+  .option('apiKey', {
+    description: 'Key scripts can send as an X-Api-Key header or Bearer token instead of the admin password',
+    type: 'string',
+  })
+  .option('streamToken', {
+    description: 'Token required on stream, HLS, playlist and guide URLs (?token=, X-Api-Key or Bearer). /playlist.m3u and /lineup.json include it in their URLs',
+    type: 'string',
+  })
+  .option('urlStreams', {
+    description: 'Allow /stream?url= to open any page in the logged-in browser (see --urlStreamHosts)',
+    type: 'boolean',
+    default: true,
+  })
+  .option('urlStreamHosts', {
+    description: 'Comma-separated hosts /stream?url= may open, subdomains included (default: any)',
+    type: 'string',
+  })
+  .option('recipeHosts', {
+    description: 'Comma-separated hosts /stream?url= may run inline ?steps= on, subdomains included (default: none)',
+    type: 'string',
+  })
+  .option('channelsFile', {
+    alias: 'c',
+    description: 'Channel lineup file (JSON or YAML). Defaults to channels.json in the data directory',
+    type: 'string',
   })
   .scriptName('cc4c')
   .usage('Usage: $0 [options]')
@@ -95,12 +210,15 @@ console.log('Minimum Frame Rate: ' + argv.frameRate + ' fps');
 console.log('Port: ' + argv.port);
 console.log('Resolution: ' + argv.width + 'x' + argv.height);
 console.log('Output Format: ' + argv.outputFormat);
+console.log('Tuners: ' + argv.tuners);
+if (argv.warmPool > 0) console.log('Warm Pool: ' + argv.warmPool);
 
 const encodingParams = {
   videoBitsPerSecond: argv.videoBitrate,
   audioBitsPerSecond: argv.audioBitrate,
   minFrameRate: argv.frameRate,
-  maxFrameRate: 50,
+  // Never below the minimum, or the capture constraints can't be met
+  maxFrameRate: Math.max(50, argv.frameRate),
   mimeType: 'video/webm;codecs=H264',
 };
 
@@ -119,6 +237,110 @@ let currentBrowser = null;
 let dataDir = null;
 let cachedFFmpegPath = null;
 
+// ---------------- Metrics ----------------
+// A minimal Prometheus registry: counters and histograms keyed by label set,
+// plus gauges that are read from live state when /metrics is scraped.
+const METRIC_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const METRIC_BYTES_BUCKETS = [1e6, 1e7, 1e8, 5e8, 1e9, 5e9, 1e10];
+const metricDefs = {};
+
+function defineMetric(name, type, help, options) {
+  metricDefs[name] = Object.assign({ name: name, type: type, help: help, series: new Map() }, options || {});
+}
+
+function metricLabelString(labels) {
+  const keys = Object.keys(labels || {}).sort();
+  if (keys.length === 0) return '';
+  return '{' + keys.map(function (k) {
+    const v = String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return k + '="' + v + '"';
+  }).join(',') + '}';
+}
+
+function incCounter(name, labels, value) {
+  const def = metricDefs[name];
+  const key = metricLabelString(labels);
+  def.series.set(key, (def.series.get(key) || 0) + (value === undefined ? 1 : value));
+}
+
+function observeHistogram(name, labels, value) {
+  const def = metricDefs[name];
+  const key = metricLabelString(labels);
+  let h = def.series.get(key);
+  if (!h) {
+    h = { labels: labels || {}, counts: def.buckets.map(function () { return 0; }), sum: 0, count: 0 };
+    def.series.set(key, h);
+  }
+  def.buckets.forEach(function (le, i) {
+    if (value <= le) h.counts[i]++;
+  });
+  h.sum += value;
+  h.count++;
+}
+
+// Cleanup reasons sometimes carry the error text; keep the label bounded
+function metricReason(reason) {
+  return String(reason || 'unknown')
+    .replace(/^((?:stream|res) error).*$/, '$1')
+    .split(':')[0]
+    .slice(0, 60);
+}
+
+function renderMetrics() {
+  const lines = [];
+  Object.keys(metricDefs).forEach(function (name) {
+    const def = metricDefs[name];
+    lines.push('# HELP ' + name + ' ' + def.help);
+    lines.push('# TYPE ' + name + ' ' + def.type);
+
+    if (def.type === 'gauge') {
+      def.collect().forEach(function (s) {
+        lines.push(name + metricLabelString(s.labels) + ' ' + s.value);
+      });
+    } else if (def.type === 'counter') {
+      def.series.forEach(function (value, key) {
+        lines.push(name + key + ' ' + value);
+      });
+    } else {
+      def.series.forEach(function (h) {
+        def.buckets.forEach(function (le, i) {
+          lines.push(name + '_bucket' + metricLabelString(Object.assign({}, h.labels, { le: le })) + ' ' + h.counts[i]);
+        });
+        lines.push(name + '_bucket' + metricLabelString(Object.assign({}, h.labels, { le: '+Inf' })) + ' ' + h.count);
+        lines.push(name + '_sum' + metricLabelString(h.labels) + ' ' + h.sum);
+        lines.push(name + '_count' + metricLabelString(h.labels) + ' ' + h.count);
+      });
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+defineMetric('cc4c_tune_attempts_total', 'counter', 'Channel captures started');
+defineMetric('cc4c_tune_successes_total', 'counter', 'Channel captures that reached playback');
+defineMetric('cc4c_tune_failures_total', 'counter', 'Channel captures that failed before playback, by cleanup reason');
+defineMetric('cc4c_captures_closed_total', 'counter', 'Channel captures torn down, by cleanup reason');
+defineMetric('cc4c_time_to_first_byte_seconds', 'histogram', 'Time from starting a capture to its first output byte',
+  { buckets: METRIC_DURATION_BUCKETS });
+defineMetric('cc4c_bytes_sent_total', 'counter', 'Bytes written to viewers');
+defineMetric('cc4c_session_bytes_sent', 'histogram', 'Bytes written to a viewer over its whole session',
+  { buckets: METRIC_BYTES_BUCKETS });
+defineMetric('cc4c_ffmpeg_exits_total', 'counter', 'FFmpeg process exits by exit code or signal');
+defineMetric('cc4c_browser_launches_total', 'counter', 'Chrome launches, including relaunches after a disconnect');
+defineMetric('cc4c_queue_waits_total', 'counter', 'Streams that had to wait for a free slot, by outcome');
+defineMetric('cc4c_queue_wait_seconds', 'histogram', 'Time spent waiting for a stream slot',
+  { buckets: METRIC_DURATION_BUCKETS });
+defineMetric('cc4c_watchdog_recoveries_total', 'counter', 'Stalled players re-tuned by the watchdog, by outcome');
+defineMetric('cc4c_rejections_total', 'counter', 'Requests rejected with 429 because no stream slot freed up');
+defineMetric('cc4c_rules_fired_total', 'counter', 'Page rules that fired on a playing channel, by kind');
+defineMetric('cc4c_zaps_total', 'counter', 'Running sessions switched to another channel, by outcome');
+defineMetric('cc4c_warm_pool_takes_total', 'counter', 'Channel captures that found (hit) or did not find (miss) a warm tab');
+defineMetric('cc4c_access_denied_total', 'counter', 'Requests refused by access control, by reason');
+defineMetric('cc4c_unhandled_rejections_total', 'counter', 'Promise rejections nothing handled (logged, the process keeps running)');
+defineMetric('cc4c_browser_crashes_total', 'counter', 'Times Chrome went away without being asked to close');
+defineMetric('cc4c_crash_recoveries_total', 'counter', 'Sessions re-tuned after a Chrome crash, by outcome');
+defineMetric('cc4c_tune_strategy_attempts_total', 'counter', 'Channel selection attempts, by strategy and outcome');
+// ----------------------------------------------------------------------
+
 // ---------------- FFmpeg MPEG-TS Transcoder ----------------
 async function findFFmpegPath() {
   if (cachedFFmpegPath) return cachedFFmpegPath;
@@ -152,10 +374,40 @@ async function findFFmpegPath() {
   throw new Error('FFmpeg not found. Please install FFmpeg or set it in your PATH.');
 }
 
-function spawnMpegTsTranscoder(audioBitrate, onError, streamId) {
-  const ffmpegPath = cachedFFmpegPath || 'ffmpeg';
+// Codec arguments for a transcoding profile (see Transcoding Profiles). The
+// copy profile keeps Chrome's H.264 and only re-encodes the audio. aacInput
+// is set when the input is our own MPEG-TS, whose audio is already stereo
+// AAC at audioBitrate: that is copied unless the profile changes it.
+function profileCodecArgs(profile, audioBitrate, aacInput) {
   const aacEncoder = process.platform === 'darwin' ? 'aac_at' : 'aac';
+  if (!profile || profile.name === 'copy') {
+    return ['-c:v', 'copy'].concat(aacInput ? ['-c:a', 'copy'] : ['-c:a', aacEncoder, '-b:a', String(audioBitrate)]);
+  }
+
+  const args = [];
+  if (profile.width || profile.height) {
+    args.push('-vf', 'scale=' + (profile.width || -2) + ':' + (profile.height || -2));
+  }
+  args.push('-c:v', profile.videoCodec);
+  if (profile.preset) args.push('-preset', profile.preset);
+  if (profile.videoBitrate) {
+    args.push('-b:v', String(profile.videoBitrate), '-maxrate', String(profile.videoBitrate), '-bufsize', String(profile.videoBitrate));
+  }
+  if (profile.gop) args.push('-g', String(profile.gop));
+  const sameAudio = aacInput && profile.audioCodec === 'aac' &&
+    (!profile.audioBitrate || bitrateValue(profile.audioBitrate) === audioBitrate) &&
+    (!profile.audioChannels || profile.audioChannels === 2);
+  if (sameAudio) {
+    args.push('-c:a', 'copy');
+    return args;
+  }
+  args.push('-c:a', profile.audioCodec === 'aac' ? aacEncoder : profile.audioCodec);
+  args.push('-b:a', String(profile.audioBitrate || audioBitrate));
+  if (profile.audioChannels) args.push('-ac', String(profile.audioChannels));
+  return args;
+}
 
+function transcoderArgs(audioBitrate, hls, profile, aacInput) {
   const args = [
     '-hide_banner',
     '-loglevel', 'warning',
@@ -163,16 +415,37 @@ function spawnMpegTsTranscoder(audioBitrate, onError, streamId) {
     '-flags', 'low_delay',
     '-i', 'pipe:0',
     '-ss', '1',
-    '-c:v', 'copy',
-    '-c:a', aacEncoder,
-    '-b:a', String(audioBitrate),
+  ].concat(profileCodecArgs(profile, audioBitrate, aacInput), [
     '-muxdelay', '0',
     '-muxpreload', '0',
-    '-f', 'mpegts',
-    '-mpegts_flags', 'initial_discontinuity',
-    '-flush_packets', '1',
-    'pipe:1'
-  ];
+  ]);
+
+  if (hls) {
+    args.push(
+      '-f', 'hls',
+      '-hls_time', String(hls.segmentSeconds),
+      '-hls_list_size', String(hls.listSize),
+      '-hls_flags', 'delete_segments+omit_endlist+independent_segments+temp_file',
+      '-hls_segment_filename', path.join(hls.dir, 'seg%d.ts'),
+      path.join(hls.dir, 'index.m3u8')
+    );
+  } else {
+    args.push(
+      '-f', 'mpegts',
+      '-mpegts_flags', 'initial_discontinuity',
+      '-flush_packets', '1',
+      'pipe:1'
+    );
+  }
+  return args;
+}
+
+// With hls ({ dir, segmentSeconds, listSize }) the output is a rolling
+// index.m3u8 plus segments written to hls.dir instead of MPEG-TS on stdout.
+// profile defaults to copy. aacInput: see profileCodecArgs.
+function spawnMpegTsTranscoder(audioBitrate, onError, streamId, hls, profile, aacInput) {
+  const ffmpegPath = cachedFFmpegPath || 'ffmpeg';
+  const args = transcoderArgs(audioBitrate, hls, profile, aacInput);
 
   const ffmpeg = child_process.spawn(ffmpegPath, args, {
     stdio: ['pipe', 'pipe', 'pipe']
@@ -192,6 +465,7 @@ function spawnMpegTsTranscoder(audioBitrate, onError, streamId) {
   });
 
   ffmpeg.on('exit', function (code, signal) {
+    incCounter('cc4c_ffmpeg_exits_total', { code: code !== null ? code : signal });
     if (shuttingDown) return;
     if (signal === 'SIGTERM') return;
     if (code !== null && code !== 0) {
@@ -222,8 +496,132 @@ function spawnMpegTsTranscoder(audioBitrate, onError, streamId) {
 }
 // -----------------------------------------------------------
 
+// ---------------- Page Window & Focus ----------------
+async function setWindowBounds(page) {
+  const session = await page.target().createCDPSession();
+  const win = await session.send('Browser.getWindowForTarget');
+
+  const extraW = 80;
+  const extraH = 160;
+
+  await session.send('Browser.setWindowBounds', {
+    windowId: win.windowId,
+    bounds: {
+      windowState: 'normal',
+      width: viewport.width + extraW,
+      height: viewport.height + extraH,
+    },
+  });
+
+  if (argv.minimizeWindow) {
+    await session.send('Browser.setWindowBounds', {
+      windowId: win.windowId,
+      bounds: { windowState: 'minimized' },
+    });
+  }
+}
+
+async function minimizeWindow(page) {
+  try {
+    const session = await page.target().createCDPSession();
+    const win = await session.send('Browser.getWindowForTarget');
+    await session.send('Browser.setWindowBounds', {
+      windowId: win.windowId,
+      bounds: { windowState: 'minimized' },
+    });
+    
+    // Keep page active even when minimized
+    try {
+      await session.send('Page.setWebLifecycleState', { state: 'active' });
+      await session.send('Emulation.setFocusEmulationEnabled', { enabled: true });
+      console.log('[Window] Minimized (kept active)');
+    } catch (e) {
+      console.log('[Window] Minimized (but failed to force active state)');
+    }
+  } catch (e) {
+    console.log('[Window] Failed to minimize:', e.message);
+  }
+}
+
+async function setChromeViewScale(page, scale) {
+  const s = Number(scale);
+  if (!isFinite(s) || s <= 0) return;
+  const cdp = await page.target().createCDPSession();
+  try {
+    await cdp.send('Emulation.setPageScaleFactor', { pageScaleFactor: s });
+  } catch (e1) {
+    let zl = 0;
+    if (s <= 0.26) zl = -3;
+    else if (s <= 0.51) zl = -2;
+    else if (s <= 0.76) zl = -1;
+    await cdp.send('Browser.setZoomLevel', { zoomLevel: zl }).catch(function () {});
+  }
+}
+
+async function ensurePageIsActive(page) {
+  try { await page.bringToFront(); } catch (e0) {}
+
+  try {
+    const cdp = await page.target().createCDPSession();
+    try { await cdp.send('Page.setWebLifecycleState', { state: 'active' }); } catch (e1) {}
+    try { await cdp.send('Emulation.setFocusEmulationEnabled', { enabled: true }); } catch (e2) {}
+  } catch (e3) {}
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Page Snapshots ----------------
+// JPEG grabs of a capturing tab for the snapshot and thumbnail endpoints.
+// They go straight through CDP: page.screenshot() would bring the tab to the
+// front and captureBeyondViewport would resize it, and either disturbs the
+// running capture.
+const SNAPSHOT_TIMEOUT_MS = 5000;
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_AGE_MS = 10000;
+
+// width scales the grab down (never up); without it the grab is full size
+async function pageSnapshot(page, width) {
+  const cdp = await page.target().createCDPSession();
+  let timer = null;
+  try {
+    const params = { format: 'jpeg', quality: width ? 70 : 85, captureBeyondViewport: false };
+    if (width) {
+      const metrics = await cdp.send('Page.getLayoutMetrics');
+      const vp = metrics.cssVisualViewport || metrics.visualViewport;
+      params.clip = {
+        x: vp.pageX,
+        y: vp.pageY,
+        width: vp.clientWidth,
+        height: vp.clientHeight,
+        scale: Math.min(1, width / vp.clientWidth),
+      };
+    }
+    // A tab that has stopped painting never answers
+    const timeout = new Promise(function (resolve, reject) {
+      timer = setTimeout(function () { reject(new Error('timed out after ' + SNAPSHOT_TIMEOUT_MS + 'ms')); }, SNAPSHOT_TIMEOUT_MS);
+    });
+    const shot = await Promise.race([cdp.send('Page.captureScreenshot', params), timeout]);
+    return Buffer.from(shot.data, 'base64');
+  } finally {
+    clearTimeout(timer);
+    await cdp.detach().catch(function () {});
+  }
+}
+// ----------------------------------------------------------------------
+
 // ---------------- Tile Click Direct Channel Selection ----------------
 async function tileClickDirectStrategy(page, channelSlug) {
+  return await clickChannelTile(page, { slug: channelSlug });
+}
+
+// For tiles whose image URL doesn't carry the slug: the image's alt text or
+// title, or an aria-label around it, matching the channel's name
+async function tileClickByNameStrategy(page, channelName) {
+  return await clickChannelTile(page, { name: channelName });
+}
+
+// match is { slug } (part of the image URL) or { name } (whole label,
+// ignoring case)
+async function clickChannelTile(page, match) {
   // Helper to scroll and click
   async function scrollAndClick(target) {
     await delay(200);
@@ -231,12 +629,20 @@ async function tileClickDirectStrategy(page, channelSlug) {
     return true;
   }
 
-  // Find the channel tile by matching the slug in image URLs
-  const tileTarget = await page.evaluate(function (slug) {
+  // Find the channel tile by matching the slug in image URLs, or the name
+  const tileTarget = await page.evaluate(function (match) {
     const images = document.querySelectorAll('img');
+    const wanted = match.name ? match.name.trim().toLowerCase() : null;
+    const matches = function (img) {
+      if (!wanted) return img.src && img.src.includes(match.slug);
+      const labelled = img.closest('[aria-label]');
+      return [img.alt, img.title, labelled && labelled.getAttribute('aria-label')].some(function (label) {
+        return !!label && label.trim().toLowerCase() === wanted;
+      });
+    };
 
     for (const img of Array.from(images)) {
-      if (img.src && img.src.includes(slug)) {
+      if (matches(img)) {
         // Walk up DOM to find clickable ancestor
         let ancestor = img.parentElement;
         let pointerFallback = null;
@@ -285,10 +691,10 @@ async function tileClickDirectStrategy(page, channelSlug) {
     }
 
     return null;
-  }, channelSlug);
+  }, match);
 
   if (!tileTarget) {
-    return { success: false, reason: 'Channel tile not found in page images.' };
+    return { success: false, reason: match.name ? 'No tile labelled "' + match.name + '".' : 'Channel tile not found in page images.' };
   }
 
   // Click the tile to start playback
@@ -314,497 +720,4157 @@ async function waitForChannelSlugImage(page, channelSlug, timeoutMs) {
 }
 
 async function selectChannelDirect(page, channelSlug) {
-  const imageAppeared = await waitForChannelSlugImage(page, channelSlug, 30000);
-  if (!imageAppeared) {
+  const state = await waitForBrowseOrLogin(page, channelSlug, 30000);
+  if (state === 'login') {
+    return { success: false, loginRequired: true, reason: 'Not logged in to Kayo (the page shows a login wall).' };
+  }
+  if (state !== 'browse') {
     console.warn('Channel slug "' + channelSlug + '" image did not appear, proceeding anyway...');
   }
   return await tileClickDirectStrategy(page, channelSlug);
 }
 // ----------------------------------------------------------------------
 
-// ---------------- Concurrency Control ----------------
-const MAX_CONCURRENT_STREAMS = 2;
-const QUEUE_WAIT_MS = 5000;
+// ---------------- Channel Selection Strategies ----------------
+// Ways of getting from a provider's start page to a playing channel. A
+// provider lists the ones that suit its site in `strategies`, and they are
+// tried in turn, with a growing pause between attempts, until one of them
+// plays or TUNE_DEADLINE_MS runs out. How each one fares is counted per
+// channel in tune-stats.json, and the order adapts to put what has been
+// working for that channel first.
+const TUNE_STATS_FILE = 'tune-stats.json';
+const TUNE_MAX_ATTEMPTS = 4;
+// Across all attempts, a single playback wait can take a minute on its own
+const TUNE_DEADLINE_MS = 120000;
+const TUNE_BACKOFF_MS = 1000;
+const TUNE_BACKOFF_MAX_MS = 8000;
+const TUNE_SCROLL_STEPS = 8;
+
+// { <channel key>: { <strategy>: { attempts, successes, lastSuccessAt, lastFailureAt } } }
+let tuneStats = {};
+
+// select(page, channel, provider) resolves like a provider's selectChannel;
+// applies(channel), when there, rules a strategy out for a channel.
+const TUNE_STRATEGIES = {
+  // The provider's own selectChannel, for providers that list no strategies
+  provider: {
+    select: async function (page, channel, provider) {
+      return await provider.selectChannel(page, channel);
+    },
+  },
 
-let activeStreams = 0;
-const waiters = [];
+  // Click the tile whose image URL carries the slug
+  tile: {
+    select: async function (page, channel) {
+      return await selectChannelDirect(page, channel.slug);
+    },
+  },
+
+  // Rows and carousels can hold off rendering tiles until scrolled into view
+  scroll: {
+    select: async function (page, channel) {
+      for (let i = 0; i < TUNE_SCROLL_STEPS; i++) {
+        await page.evaluate(function () {
+          window.scrollBy(0, Math.round(window.innerHeight * 0.8));
+          Array.from(document.querySelectorAll('*')).forEach(function (el) {
+            if (el.scrollWidth <= el.clientWidth + 10) return;
+            const overflow = window.getComputedStyle(el).overflowX;
+            if (overflow === 'auto' || overflow === 'scroll') el.scrollLeft += el.clientWidth;
+          });
+        });
+        if (await waitForChannelSlugImage(page, channel.slug, 1000)) return await tileClickDirectStrategy(page, channel.slug);
+      }
+      return { success: false, reason: 'tile still missing after scrolling ' + TUNE_SCROLL_STEPS + ' times' };
+    },
+  },
 
-function notifyStreamSlot() {
-  if (waiters.length > 0) {
-    const r = waiters.shift();
-    try { r(); } catch (e) {}
+  name: {
+    select: async function (page, channel) {
+      return await tileClickByNameStrategy(page, channel.name);
+    },
+  },
+
+  // Start over from a fresh copy of the start page
+  reload: {
+    select: async function (page, channel, provider) {
+      await provider.navigate(page, channel);
+      return await selectChannelDirect(page, channel.slug);
+    },
+  },
+
+  // Skip the grid for channels with a playUrl in the lineup
+  direct: {
+    applies: function (channel) { return !!channel.playUrl; },
+    select: async function (page, channel) {
+      await page.goto(channel.playUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      return { success: true };
+    },
+  },
+};
+
+function loadTuneStats() {
+  const file = path.join(dataDir, TUNE_STATS_FILE);
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    tuneStats = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('[Tune] Ignoring unreadable ' + file + ':', e.message);
+    tuneStats = {};
   }
 }
 
-function waitForStreamSlot(timeoutMs) {
-  if (activeStreams < MAX_CONCURRENT_STREAMS) return Promise.resolve(true);
-
-  return new Promise(function (resolve) {
-    const timer = setTimeout(function () {
-      const idx = waiters.indexOf(onSlot);
-      if (idx !== -1) waiters.splice(idx, 1);
-      resolve(false);
-    }, timeoutMs);
+function saveTuneStats() {
+  try {
+    fs.writeFileSync(path.join(dataDir, TUNE_STATS_FILE), JSON.stringify(tuneStats, null, 2) + '\n');
+  } catch (e) {
+    console.warn('[Tune] Could not save ' + TUNE_STATS_FILE + ':', e.message);
+  }
+}
 
-    function onSlot() {
-      clearTimeout(timer);
-      resolve(true);
-    }
+function recordTuneAttempt(channelKey, strategy, ok) {
+  const forChannel = tuneStats[channelKey] = tuneStats[channelKey] || {};
+  const stats = forChannel[strategy] = forChannel[strategy] || { attempts: 0, successes: 0, lastSuccessAt: null, lastFailureAt: null };
+  stats.attempts++;
+  if (ok) {
+    stats.successes++;
+    stats.lastSuccessAt = new Date().toISOString();
+  } else {
+    stats.lastFailureAt = new Date().toISOString();
+  }
+  incCounter('cc4c_tune_strategy_attempts_total', { strategy: strategy, outcome: ok ? 'success' : 'failure' });
+  saveTuneStats();
+}
 
-    waiters.push(onSlot);
+// The provider's order, minus what doesn't apply to the channel, re-sorted
+// by each strategy's success rate on it. Untried strategies count as even
+// odds, so one that keeps failing drops below them and one that keeps
+// working stays first.
+function tuneStrategyOrder(channelKey, channel, provider) {
+  const names = (provider.strategies || ['provider']).filter(function (name) {
+    const strategy = TUNE_STRATEGIES[name];
+    return !strategy.applies || strategy.applies(channel);
   });
+  const stats = tuneStats[channelKey] || {};
+  const score = function (name) {
+    const s = stats[name];
+    return s ? (s.successes + 1) / (s.attempts + 2) : 0.5;
+  };
+  const sorted = names.filter(function (name) { return name !== 'direct'; }).sort(function (a, b) {
+    return score(b) - score(a) || names.indexOf(a) - names.indexOf(b);
+  });
+  // A playUrl in the lineup is the surest way there, so it always goes first
+  return names.indexOf('direct') === -1 ? sorted : ['direct'].concat(sorted);
 }
-// ------------------------------------------------------
-
-// ---------------- Executable Path ----------------
-function getExecutablePath() {
-  if (process.env.CHROME_BIN) return process.env.CHROME_BIN;
 
-  let executablePath = null;
+// Selects the channel and waits for playback, working down the strategy
+// order (and around again) for up to TUNE_MAX_ATTEMPTS attempts or
+// TUNE_DEADLINE_MS. Resolves like selectChannel, plus the strategy that
+// worked. A login wall ends it straight away.
+async function selectWithStrategies(page, channel, channelKey, provider) {
+  const order = tuneStrategyOrder(channelKey, channel, provider);
+  const failures = [];
+  const deadline = Date.now() + TUNE_DEADLINE_MS;
+  let leftStartPage = false;
+
+  for (let attempt = 1; attempt <= TUNE_MAX_ATTEMPTS; attempt++) {
+    const name = order[(attempt - 1) % order.length];
+    if (attempt > 1) {
+      const wait = Math.min(TUNE_BACKOFF_MS * Math.pow(2, attempt - 2), TUNE_BACKOFF_MAX_MS);
+      if (Date.now() + wait >= deadline) break;
+      console.log('[Tune] ' + channelKey + ': trying ' + name + ' in ' + wait + 'ms');
+      await delay(wait);
+    }
+    if (page.isClosed()) return { success: false, reason: 'the tab was closed' };
 
-  if (process.platform === 'linux') {
+    const started = Date.now();
+    // Each step gets what is left of the deadline rather than being raced
+    // against it, so nothing is still driving the tab once this returns
+    const outOfTime = function () {
+      if (Date.now() >= deadline) throw new Error('out of time, tuning gives up after ' + (TUNE_DEADLINE_MS / 1000) + 's');
+    };
+    let result;
     try {
-      executablePath = child_process.execSync('which chromium-browser').toString().split('\n').shift();
-    } catch (e) {}
-    if (!executablePath) {
-      try {
-        executablePath = child_process.execSync('which chromium').toString().split('\n').shift();
-      } catch (e2) {}
-      if (!executablePath) throw new Error('Chromium not found (which chromium)');
+      // A click that never played has left the grid behind
+      if (leftStartPage && name !== 'reload' && name !== 'direct') await provider.navigate(page, channel);
+      leftStartPage = false;
+      outOfTime();
+      result = await TUNE_STRATEGIES[name].select(page, channel, provider);
+      if (result.success) {
+        leftStartPage = true;
+        outOfTime();
+        await provider.waitForPlayback(page, channel, deadline - Date.now());
+      }
+    } catch (e) {
+      result = { success: false, reason: String(e.message || e).split('\n')[0] };
     }
-  } else if (process.platform === 'darwin') {
-    executablePath = [
-      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-      '/Applications/Chromium.app/Contents/MacOS/Chromium',
-      '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser',
-    ].find(fs.existsSync);
-  } else if (process.platform === 'win32') {
-    executablePath = [
-      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-      path.join(process.env.USERPROFILE || '', 'AppData', 'Local', 'Google', 'Chrome', 'Application', 'chrome.exe'),
-      path.join(process.env.USERPROFILE || '', 'AppData', 'Local', 'Chromium', 'Application', 'chrome.exe'),
-    ].find(fs.existsSync);
-  } else {
-    throw new Error('Unsupported platform: ' + process.platform);
-  }
+    if (result.loginRequired) return result;
 
-  return executablePath;
+    const took = ((Date.now() - started) / 1000).toFixed(1) + 's';
+    recordTuneAttempt(channelKey, name, result.success);
+    if (result.success) {
+      console.log('[Tune] ' + channelKey + ': ' + name + ' worked on attempt ' + attempt + ' (' + took + ')');
+      return Object.assign({}, result, { strategy: name, attempts: attempt });
+    }
+    console.warn('[Tune] ' + channelKey + ': attempt ' + attempt + '/' + TUNE_MAX_ATTEMPTS + ' with ' + name + ' failed after ' + took + ': ' + result.reason);
+    failures.push(name + ': ' + result.reason);
+    if (Date.now() >= deadline) break;
+  }
+  return { success: false, reason: failures.length + ' attempts failed (' + failures.join('; ') + ')' };
 }
+// ----------------------------------------------------------------------
 
-// ---------------- Browser (shared profile) ----------------
-async function getCurrentBrowser() {
-  if (!currentBrowser || !currentBrowser.isConnected()) {
-    currentBrowser = await launch(
-      {
-        launch: function (opts) {
-          if (process.env.DOCKER) {
-            opts.args = (opts.args || []).concat([
-              '--use-gl=angle',
-              '--use-angle=gl-egl',
-              '--enable-features=VaapiVideoDecoder,VaapiVideoEncoder',
-              '--ignore-gpu-blocklist',
-              '--enable-zero-copy',
-              '--enable-drdc',
-              '--no-sandbox',
-            ]);
-          }
-          console.log('Launching Browser, Opts', opts);
-          return puppeteerLaunch(opts);
-        },
-      },
-      {
-        executablePath: getExecutablePath(),
-        pipe: true,
-        headless: false,
-        defaultViewport: null,
-        userDataDir: path.join(dataDir, 'chromedata'),
-        args: [
-          '--no-first-run',
-          '--hide-crash-restore-bubble',
-          '--allow-running-insecure-content',
-          '--autoplay-policy=no-user-gesture-required',
-          '--disable-blink-features=AutomationControlled',
-          '--hide-scrollbars',
-          '--window-size=' + viewport.width + ',' + viewport.height,
-          '--disable-notifications',
-          '--disable-background-networking',
-          '--disable-background-timer-throttling',
-          '--disable-background-media-suspend',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding',
-          '--force-prefers-reduced-motion',
-          '--disable-features=CalculateNativeWinOcclusion',
-        ],
-        ignoreDefaultArgs: [
-          '--enable-automation',
-          '--disable-extensions',
-          '--disable-default-apps',
-          '--disable-component-update',
-          '--disable-component-extensions-with-background-pages',
-          '--enable-blink-features=IdleDetection',
-          '--mute-audio',
-        ],
-      }
-    );
-
-    currentBrowser.on('close', function () {
-      currentBrowser = null;
-      console.log('Browser closed');
-    });
+// ---------------- Kayo Login State ----------------
+// Streams answer with this status instead of 500 when Kayo wants a login,
+// so clients and logs can tell an expired session from a broken tune.
+const NOT_LOGGED_IN_STATUS = 511;
+const LOGIN_POLL_MS = 500;
+
+// Last thing any page told us about the shared profile's session
+let kayoLogin = { state: 'unknown', checkedAt: null, url: null };
+
+function noteLoginState(state, url) {
+  // The synthetic provider's pages say nothing about the Kayo session
+  if (isSyntheticUrl(url)) return;
+  const mapped = state === 'browse' ? 'logged-in' : state === 'login' ? 'login-required' : null;
+  if (!mapped) return;
+  if (mapped !== kayoLogin.state) console.log('[Auth] Kayo session:', mapped, '(' + url + ')');
+  kayoLogin = { state: mapped, checkedAt: new Date().toISOString(), url: url };
+}
 
-    currentBrowser.on('targetcreated', function (target) {
-      console.log('New target page created:', target.url());
-    });
+// 'browse' once the channel tile (or, without a slug, any browse grid) is
+// showing, 'login' for a sign-in form or sign-in-only page, else 'unknown'.
+async function detectPageState(page, channelSlug) {
+  const state = await page.evaluate(function (slug) {
+    const images = Array.from(document.querySelectorAll('img'));
+    if (slug && images.some(function (img) { return img.src && img.src.includes(slug); })) return 'browse';
 
-    currentBrowser.on('targetchanged', function (target) {
-      console.log('Target page changed:', target.url());
-    });
+    if (/\/(login|signin|sign-in)\b/i.test(location.pathname) || /^auth\./i.test(location.hostname)) return 'login';
+    if (document.querySelector('input[type="password"]')) return 'login';
 
-    currentBrowser.on('targetdestroyed', function (target) {
-      console.log('Browser page closed:', target.url());
+    const signIn = Array.from(document.querySelectorAll('a, button')).some(function (el) {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && /^\s*(sign in|log in|login)\s*$/i.test(el.innerText || '');
     });
+    if (signIn) return 'login';
 
-    currentBrowser.on('disconnected', function () {
-      console.log('Browser disconnected');
-      currentBrowser = null;
-    });
-  }
+    if (!slug && images.length > 20) return 'browse';
+    return 'unknown';
+  }, channelSlug || null);
 
-  return currentBrowser;
+  noteLoginState(state, page.url());
+  return state;
 }
 
-async function main() {
-  dataDir = process.cwd();
-  if (process.platform === 'darwin') {
-    dataDir = path.join(process.env.HOME || process.cwd(), 'Library', 'Application Support', 'ChromeCapture');
-  } else if (process.platform === 'win32') {
-    dataDir = path.join(process.env.USERPROFILE || process.cwd(), 'AppData', 'Local', 'ChromeCapture');
-  }
-
-  try {
-    await fs.promises.mkdir(dataDir, { recursive: true });
-  } catch (e) {}
-
-  // Initialize FFmpeg
-  if (argv.outputFormat === 'mpegts') {
+async function waitForBrowseOrLogin(page, channelSlug, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let state = 'unknown';
+  while (Date.now() < deadline) {
     try {
-      await findFFmpegPath();
-      console.log('FFmpeg found:', cachedFFmpegPath);
+      state = await detectPageState(page, channelSlug);
     } catch (e) {
-      console.error('FFmpeg not found. MPEG-TS output will not work.');
-      console.error('Please install FFmpeg or use --outputFormat=webm');
+      // Navigation in progress, try again
+      state = 'unknown';
     }
+    if (state !== 'unknown') return state;
+    await delay(LOGIN_POLL_MS);
   }
+  return state;
+}
+// ----------------------------------------------------------------------
 
-  // --- Channel Configuration ---
-  const CHANNELS = {
-    espn: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bce8eb9e4b0a8faf3c14a94',
-      name: 'ESPN',
-      number: 509
-    },
-    footy: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcefacfe4b0a8faf3c14ae2',
-      name: 'Fox Footy',
-      number: 504
-    },
-    cricket: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcef5ede4b0a8faf3c14acf',
-      name: 'Fox Cricket',
-      number: 501
-    },
-    '505': {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcefaf5e4b0cb6f1d7f46fc',
-      name: 'Fox Sports 505',
-      number: 505
-    },
-    '503': {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcef93ae4b0a8faf3c14ada',
-      name: 'Fox Sports 503',
-      number: 503
-    },
-    '506': {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcefc4ae4b0a8faf3c14aed',
-      name: 'Fox Sports 506',
-      number: 506
-    },
-    league: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcef901e4b0cb6f1d7f46f3',
-      name: 'Fox League',
-      number: 502
-    },
-    news: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcefccee4b0a8faf3c14aef',
-      name: 'Fox Sports News',
-      number: 500
-    },
-    racing: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5ccacc4ae4b020d0a4eb3979',
-      name: 'Racing.com',
-      number: 529
-    },
-    ufc: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '66d524f4e4b06b17c2bfdd58',
-      name: 'Main Event UFC',
-      number: 523
-    },
-    espn2: {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcef583e4b0a8faf3c14acb',
-      name: 'ESPN2',
-      number: 510
-    },
-    '507': {
-      url: 'https://kayosports.com.au/browse',
-      slug: '5bcefc6be4b0cb6f1d7f4703',
-      name: 'Fox Sports 507',
-      number: 507
-    },
-  };
+// ---------------- Playback Health ----------------
+// What the watchdog looks at on a capturing page: the <video> clock and
+// state, dropped frames, and any visible error overlay from the player.
+const WATCHDOG_POLL_MS = 5000;
+const WATCHDOG_MAX_RECOVERIES = 3;
+const WATCHDOG_HEALTHY_RESET_MS = 10 * 60 * 1000;
+const WATCHDOG_DROPPED_FRAME_RATIO = 0.8;
+
+async function probePlayback(page) {
+  return await page.evaluate(function () {
+    const v = document.querySelector('video');
+    const overlay = Array.from(document.querySelectorAll('[class*="error" i], [role="alert"], [class*="Error"]')).find(function (el) {
+      const rect = el.getBoundingClientRect();
+      const text = (el.innerText || '').trim();
+      return rect.width > 0 && rect.height > 0 && text.length > 4 && text.length < 300 &&
+        /error|went wrong|unable to|try again|not available|playback/i.test(text);
+    });
 
-  // HDHomeRun Configuration
-  const HDHR_DEVICE_ID = 'KAYO1234';
-  const HDHR_FRIENDLY_NAME = 'Kayo Sports Tuner';
-  const HDHR_TUNER_COUNT = 2;
-  const HDHR_PORT = 5004;
+    if (!v) return { video: false, overlay: overlay ? overlay.innerText.trim() : null };
+
+    const q = v.getVideoPlaybackQuality ? v.getVideoPlaybackQuality() : null;
+    return {
+      video: true,
+      currentTime: v.currentTime,
+      readyState: v.readyState,
+      paused: v.paused,
+      ended: v.ended,
+      error: v.error ? 'media error ' + v.error.code : null,
+      totalFrames: q ? q.totalVideoFrames : null,
+      droppedFrames: q ? q.droppedVideoFrames : null,
+      overlay: overlay ? overlay.innerText.trim() : null,
+    };
+  });
+}
 
-  const app = express();
+// Compares two probes taken WATCHDOG_POLL_MS apart and returns why playback
+// looks stuck, or null when it looks fine.
+function playbackProblem(prev, cur, bytesDelta) {
+  if (!cur.video) return 'no <video> on the page';
+  if (cur.error) return cur.error;
+  if (cur.overlay) return 'error overlay: ' + cur.overlay.split('\n')[0].slice(0, 80);
+  if (cur.ended) return 'video ended';
+  if (prev && prev.video && cur.currentTime <= prev.currentTime) {
+    return 'currentTime stuck at ' + cur.currentTime.toFixed(1) + ' (readyState ' + cur.readyState + (cur.paused ? ', paused' : '') + ')';
+  }
+  if (prev && prev.totalFrames !== null && cur.totalFrames > prev.totalFrames) {
+    const dropped = (cur.droppedFrames - prev.droppedFrames) / (cur.totalFrames - prev.totalFrames);
+    if (dropped >= WATCHDOG_DROPPED_FRAME_RATIO) return Math.round(dropped * 100) + '% of frames dropped';
+  }
+  if (bytesDelta === 0) return 'no output bytes';
+  return null;
+}
+// ----------------------------------------------------------------------
 
-  // logger
-  const df = require('dateformat');
-  morgan.token('mydate', function () {
-    return df(new Date(), 'yyyy/mm/dd HH:MM:ss.l');
+// ---------------- Providers ----------------
+// A provider adapter drives one streaming site. The capture pipeline only
+// talks to the adapter, so another site can be added by registering a new
+// adapter and naming it in channels.json ("provider": "<name>").
+//
+//   name, label        registry key and the name used in messages
+//   defaultUrl         page a channel opens when its entry has no url
+//   navigate           open the channel's page (and any site-specific prep)
+//   detectLogin        'browse' | 'login' | 'unknown' for the current page
+//   selectChannel      pick the channel, resolves { success, reason, loginRequired }
+//   waitForPlayback    resolves once the player is actually playing, giving
+//                      up after timeoutMs when one is passed
+//   fullscreen         make the player fill the captured tab
+//   detectErrors       playback probe for the watchdog (see probePlayback)
+//   scanChannels       optional: list the site's live channels as
+//                      [{ slug, name, logo, section }] for /api/channels/scan,
+//                      calling progress(percent, tilesFound) along the way
+//   strategies         optional: TUNE_STRATEGIES to select channels with, in
+//                      order; without it selectChannel is retried on its own
+const PROVIDERS = {};
+const DEFAULT_PROVIDER = 'kayo';
+const KAYO_BROWSE_URL = 'https://kayosports.com.au/browse';
+
+function registerProvider(adapter) {
+  ['navigate', 'detectLogin', 'selectChannel', 'waitForPlayback', 'fullscreen', 'detectErrors'].forEach(function (fn) {
+    if (typeof adapter[fn] !== 'function') throw new Error('provider "' + adapter.name + '" is missing ' + fn + '()');
   });
-  app.use(morgan('[:mydate] :method :url from :remote-addr responded :status in :response-time ms'));
+  (adapter.strategies || []).forEach(function (name) {
+    if (!TUNE_STRATEGIES[name]) throw new Error('provider "' + adapter.name + '" lists unknown strategy ' + name);
+  });
+  PROVIDERS[adapter.name] = adapter;
+  return adapter;
+}
 
-  // ---------------- Page Setup Helpers ----------------
-  const pagesInUse = new Set();
+function getProvider(name) {
+  const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+  if (!provider) throw new Error('unknown provider "' + name + '"');
+  return provider;
+}
 
-  function cssNoAnimOneLine() {
-    return (
-      '*{animation-duration:0s!important;transition-duration:0s!important;scroll-behavior:auto!important}' +
-      '*::before{animation-duration:0s!important;transition-duration:0s!important}' +
-      '*::after{animation-duration:0s!important;transition-duration:0s!important}'
-    );
-  }
+// Waits for a <video> that has buffered and moved past its first frames.
+async function waitForVideoPlaying(page, timeoutMs) {
+  await page.waitForSelector('video', { timeout: timeoutMs });
+  await page.waitForFunction(
+    function () {
+      const v = document.querySelector('video');
+      if (!v) return false;
+      if (v.readyState < 3) return false;
+      return v.currentTime > 0.5;
+    },
+    { timeout: timeoutMs }
+  );
+}
 
-  async function ensurePageIsActive(page) {
-    try { await page.bringToFront(); } catch (e0) {}
+async function runKayoFullscreenToggle(page) {
+  console.log('[Automation] Requesting fullscreen via browser API...');
 
+  const success = await page.evaluate(function () {
     try {
-      const cdp = await page.target().createCDPSession();
-      try { await cdp.send('Page.setWebLifecycleState', { state: 'active' }); } catch (e1) {}
-      try { await cdp.send('Emulation.setFocusEmulationEnabled', { enabled: true }); } catch (e2) {}
-    } catch (e3) {}
+      // Request fullscreen on the video element if available, otherwise on document
+      const video = document.querySelector('video');
+      const target = video || document.documentElement;
+      
+      if (target.requestFullscreen) {
+        target.requestFullscreen();
+        return true;
+      } else if (target.webkitRequestFullscreen) {
+        // Safari fallback
+        target.webkitRequestFullscreen();
+        return true;
+      }
+      return false;
+    } catch (e) {
+      console.error('Fullscreen request error:', e);
+      return false;
+    }
+  });
+
+  if (success) {
+    console.log('✅ Fullscreen requested via browser API');
+  } else {
+    console.log('❌ Fullscreen API not available');
   }
+  
+  return success;
+}
 
-  async function setupPage(browser) {
-    const newPage = await browser.newPage();
-    await newPage.setBypassCSP(true);
-    await delay(200);
+async function verifyFullscreen(page) {
+  // Give it a moment to transition
+  await delay(300);
+  
+  const isFullscreen = await page.evaluate(function () {
+    return !!(document.fullscreenElement || 
+              document.webkitFullscreenElement || 
+              document.mozFullScreenElement ||
+              document.msFullscreenElement);
+  });
 
-    try {
-      await newPage.addStyleTag({ content: cssNoAnimOneLine() });
-    } catch (e) {}
+  if (isFullscreen) {
+    console.log('[Automation] Fullscreen verified ✓');
+  } else {
+    console.log('[Automation] Fullscreen verification failed');
+  }
+  
+  return isFullscreen;
+}
 
-    newPage.on('console', function (msg) {
-      const text = msg.text();
-      if (text.indexOf('Mixed Content') === -1) {
-        // console.log(text);
+registerProvider({
+  name: 'kayo',
+  label: 'Kayo',
+  defaultUrl: KAYO_BROWSE_URL,
+
+  navigate: async function (page, channel) {
+    await page.goto(channel.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    // Zoom out so the whole browse grid (and the channel's tile) renders
+    await setChromeViewScale(page, 0.25);
+  },
+
+  detectLogin: async function (page, channel) {
+    return await detectPageState(page, channel ? channel.slug : null);
+  },
+
+  selectChannel: async function (page, channel) {
+    return await selectChannelDirect(page, channel.slug);
+  },
+
+  strategies: ['tile', 'scroll', 'name', 'reload', 'direct'],
+
+  waitForPlayback: async function (page, channel, timeoutMs) {
+    await waitForVideoPlaying(page, Math.min(60000, timeoutMs || Infinity));
+  },
+
+  fullscreen: async function (page) {
+    if (!(await runKayoFullscreenToggle(page))) return false;
+    // Fullscreen can be refused quietly; rules.json css can cover the gap
+    return await verifyFullscreen(page);
+  },
+
+  detectErrors: async function (page) {
+    return await probePlayback(page);
+  },
+
+  // Channel tiles are the clickable images in a channels rail whose URL
+  // carries a 24-hex id, which is what the hand-found slugs in the default
+  // lineup are. Show and highlight tiles elsewhere on the page use the same
+  // kind of id, so their rails are left out.
+  scanChannels: async function (page, progress) {
+    await page.goto(KAYO_BROWSE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await setChromeViewScale(page, 0.25);
+    progress(10, 0);
+
+    const state = await waitForBrowseOrLogin(page, null, 30000);
+    if (state === 'login') {
+      const err = new Error('Not logged in to Kayo (the page shows a login wall).');
+      err.loginRequired = true;
+      throw err;
+    }
+    progress(20, 0);
+
+    // Carousels load lazily, so walk down the page before reading tiles
+    let tiles = [];
+    for (let i = 0; i < 10; i++) {
+      await page.evaluate(function () { window.scrollBy(0, window.innerHeight); });
+      await delay(500);
+      tiles = await readKayoChannelTiles(page);
+      progress(20 + (i + 1) * 8, tiles.length);
+    }
+    return tiles;
+  },
+});
+
+const KAYO_CHANNEL_RAIL = /\bchannels?\b/i;
+
+async function readKayoChannelTiles(page) {
+  return await page.evaluate(function (railPattern) {
+    const rail = new RegExp(railPattern, 'i');
+    const seen = {};
+    const tiles = [];
+    Array.from(document.querySelectorAll('img')).forEach(function (img) {
+      const m = /(?:^|[^0-9a-f])([0-9a-f]{24})(?:[^0-9a-f]|$)/i.exec(img.src || '');
+      if (!m || seen[m[1]]) return;
+      const holder = img.closest('a, button, [role="button"]');
+      if (!holder) return;
+
+      // Nearest heading above the tile, usually the carousel title
+      let section = '';
+      for (let el = img.parentElement; el && !section; el = el.parentElement) {
+        const heading = el.querySelector('h1, h2, h3, h4');
+        if (heading && !heading.contains(img)) section = (heading.innerText || '').trim();
       }
+      if (!rail.test(section)) return;
+      seen[m[1]] = true;
+
+      const name = (img.alt || holder.getAttribute('aria-label') || holder.getAttribute('title') || '').trim();
+      tiles.push({ slug: m[1], name: name, logo: img.src, section: section });
     });
+    return tiles;
+  }, KAYO_CHANNEL_RAIL.source);
+}
+// ----------------------------------------------------------------------
 
-    return newPage;
-  }
+// ---------------- Synthetic Provider ----------------
+// An offline stand-in for Kayo served by this server at /synthetic/: a grid
+// of tiles whose image URLs carry the channel slugs, and a player that draws
+// a moving test pattern with a clock into a <video> and beeps once a second.
+// Channels with "provider": "synthetic" run the normal tile click, playback
+// wait, capture and FFmpeg path against it. The test-stall and test-error
+// tiles break after SYNTHETIC_FAULT_SECONDS to exercise the watchdog.
+const SYNTHETIC_PATH = '/synthetic/';
+const SYNTHETIC_FAULT_SECONDS = 20;
+const SYNTHETIC_BUILTIN_TILES = [
+  { slug: 'test-bars', name: 'Test Bars', fault: null },
+  { slug: 'test-stall', name: 'Test Stall', fault: 'stall' },
+  { slug: 'test-error', name: 'Test Error', fault: 'error' },
+];
+
+function isSyntheticUrl(url) {
+  return /^https?:\/\/[^/]+\/synthetic\//.test(String(url || ''));
+}
 
-  async function acquirePage() {
-    const browser = await getCurrentBrowser();
-    const page = await setupPage(browser);
-    pagesInUse.add(page);
-    return page;
-  }
+// The built-in tiles plus one for every synthetic channel in the lineup
+function syntheticTiles() {
+  const tiles = SYNTHETIC_BUILTIN_TILES.slice();
+  Object.keys(CHANNELS).forEach(function (key) {
+    const ch = CHANNELS[key];
+    if (ch.provider !== 'synthetic') return;
+    if (tiles.some(function (t) { return t.slug === ch.slug; })) return;
+    tiles.push({ slug: ch.slug, name: ch.name, fault: null });
+  });
+  return tiles;
+}
 
-  async function releasePage(page, reason) {
-    if (!page) return;
-    if (pagesInUse.has(page)) pagesInUse.delete(page);
+function syntheticHue(slug) {
+  return parseInt(crypto.createHash('md5').update(slug).digest('hex').slice(0, 4), 16) % 360;
+}
 
-    try { await page.close(); } catch (e) {}
-    if (reason) console.log('[Page] Closed:', reason);
+function syntheticTileSvg(tile) {
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180" viewBox="0 0 320 180">' +
+    '<rect width="320" height="180" fill="hsl(' + syntheticHue(tile.slug) + ',55%,35%)"/>' +
+    '<text x="160" y="98" font-family="sans-serif" font-size="26" fill="#fff" text-anchor="middle">' + xmlEscape(tile.name) + '</text>' +
+    '</svg>';
+}
+
+// Browse grid and player in one page; #play/<slug> shows the player, like
+// Kayo's browse page swapping in its player without a navigation.
+function syntheticPage(tiles) {
+  const byslug = {};
+  tiles.forEach(function (t) { byslug[t.slug] = { name: t.name, fault: t.fault, hue: syntheticHue(t.slug) }; });
+  return '<!doctype html><html><head><title>Synthetic channels</title>' +
+    '<style>' +
+    'body{margin:0;background:#111;color:#eee;font-family:sans-serif}' +
+    'h1{font-size:20px;margin:16px}' +
+    '#grid{display:flex;flex-wrap:wrap;gap:12px;margin:16px}' +
+    '#grid a{display:block}#grid img{display:block;width:320px;height:180px}' +
+    'video{position:fixed;inset:0;width:100vw;height:100vh;background:#000;object-fit:contain}' +
+    '.player-error{position:fixed;left:25%;top:40%;width:50%;padding:24px;background:#400;color:#fff;font-size:24px;text-align:center}' +
+    '</style></head><body>' +
+    '<div id="cc4c-synthetic"><h1>Synthetic channels</h1><div id="grid">' +
+    tiles.map(function (t) {
+      return '<a href="#play/' + xmlEscape(t.slug) + '" title="' + xmlEscape(t.name) + '">' +
+        '<img src="' + SYNTHETIC_PATH + 'tile/' + xmlEscape(t.slug) + '.svg" alt="' + xmlEscape(t.name) + '"></a>';
+    }).join('') +
+    '</div></div>' +
+    '<script>' +
+    'var CHANNELS = ' + JSON.stringify(byslug).replace(/</g, '\\u003c') + ';' +
+    'var FAULT_MS = ' + (SYNTHETIC_FAULT_SECONDS * 1000) + ';' +
+    'var W = 1280, H = 720, FPS = 30;' +
+    'var playing = false;' +
+    'function pad(n, w) { return String(n).padStart(w || 2, "0"); }' +
+    'function play(slug) {' +
+    '  var ch = CHANNELS[slug] || { name: slug, fault: null, hue: 0 };' +
+    '  if (playing) return;' +
+    '  playing = true;' +
+    '  document.getElementById("cc4c-synthetic").style.display = "none";' +
+    '  var canvas = document.createElement("canvas");' +
+    '  canvas.width = W;' +
+    '  canvas.height = H;' +
+    '  var ctx = canvas.getContext("2d");' +
+    '  var video = document.createElement("video");' +
+    '  video.muted = true;' +
+    '  video.srcObject = canvas.captureStream(FPS);' +
+    '  document.body.appendChild(video);' +
+    // The tone plays out of the tab itself, which is what gets captured
+    '  var audio = new AudioContext();' +
+    '  var osc = audio.createOscillator();' +
+    '  var gain = audio.createGain();' +
+    '  osc.frequency.value = 1000;' +
+    '  gain.gain.value = 0;' +
+    '  osc.connect(gain);' +
+    '  gain.connect(audio.destination);' +
+    '  osc.start();' +
+    '  audio.resume();' +
+    '  var bars = ["#c0c0c0", "#c0c000", "#00c0c0", "#00c000", "#c000c0", "#c00000", "#0000c0"];' +
+    '  var started = Date.now();' +
+    '  var frame = 0;' +
+    // Timers keep running in a minimized window, animation frames don't
+    '  var timer = setInterval(function () {' +
+    '    var now = new Date();' +
+    '    var ms = now.getMilliseconds();' +
+    '    if (ch.fault === "stall" && Date.now() - started > FAULT_MS) {' +
+    '      clearInterval(timer);' +
+    '      gain.gain.value = 0;' +
+    '      video.pause();' +
+    '      return;' +
+    '    }' +
+    '    if (ch.fault === "error" && Date.now() - started > FAULT_MS && !document.querySelector(".player-error")) {' +
+    '      var box = document.createElement("div");' +
+    '      box.className = "player-error";' +
+    '      box.setAttribute("role", "alert");' +
+    '      box.textContent = "Playback error: something went wrong (synthetic fault)";' +
+    '      document.body.appendChild(box);' +
+    '    }' +
+    '    frame++;' +
+    '    var bw = W / bars.length;' +
+    '    bars.forEach(function (c, i) { ctx.fillStyle = c; ctx.fillRect(i * bw, 0, bw + 1, H * 0.6); });' +
+    '    for (var i = 0; i < 16; i++) { var g = Math.round(i * 17); ctx.fillStyle = "rgb(" + g + "," + g + "," + g + ")"; ctx.fillRect(i * W / 16, H * 0.6, W / 16 + 1, H * 0.1); }' +
+    '    ctx.fillStyle = "hsl(" + ch.hue + ",55%,20%)";' +
+    '    ctx.fillRect(0, H * 0.7, W, H * 0.3);' +
+    // A bar sweeping across once a second shows motion and dropped frames
+    '    ctx.fillStyle = "#fff";' +
+    '    ctx.fillRect((ms / 1000) * (W - 20), H * 0.6, 20, H * 0.1);' +
+    '    ctx.fillStyle = ms < 200 ? "#fff" : "#000";' +
+    '    ctx.fillRect(W - 90, H * 0.75, 60, 60);' +
+    '    ctx.fillStyle = "#fff";' +
+    '    ctx.font = "bold 44px sans-serif";' +
+    '    ctx.fillText(ch.name, 40, H * 0.7 + 60);' +
+    '    ctx.font = "40px monospace";' +
+    '    ctx.fillText(pad(now.getHours()) + ":" + pad(now.getMinutes()) + ":" + pad(now.getSeconds()) + "." + pad(ms, 3) + "  frame " + frame, 40, H * 0.7 + 130);' +
+    '    gain.gain.value = ms < 200 ? 0.2 : 0;' +
+    '  }, 1000 / FPS);' +
+    '  video.play();' +
+    '}' +
+    'function route() {' +
+    '  var m = /^#play\\/(.+)$/.exec(location.hash);' +
+    '  if (m) play(decodeURIComponent(m[1]));' +
+    '}' +
+    'window.addEventListener("hashchange", route);' +
+    'route();' +
+    '</script></body></html>';
+}
+
+registerProvider({
+  name: 'synthetic',
+  label: 'Synthetic test pattern',
+  // Served by this process; read when the lineup loads, after settings
+  get defaultUrl() {
+    return 'http://127.0.0.1:' + argv.port + SYNTHETIC_PATH;
+  },
+
+  navigate: async function (page, channel) {
+    await page.goto(channel.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  },
+
+  // There is no login, the grid is there as soon as the page is
+  detectLogin: async function (page) {
+    const ready = await page.evaluate(function () { return !!document.getElementById('cc4c-synthetic'); });
+    return ready ? 'browse' : 'unknown';
+  },
+
+  selectChannel: async function (page, channel) {
+    return await selectChannelDirect(page, channel.slug);
+  },
+
+  strategies: ['tile', 'scroll', 'name', 'reload', 'direct'],
+
+  waitForPlayback: async function (page, channel, timeoutMs) {
+    await waitForVideoPlaying(page, Math.min(30000, timeoutMs || Infinity));
+  },
+
+  fullscreen: async function (page) {
+    if (!(await runKayoFullscreenToggle(page))) return false;
+    return await verifyFullscreen(page);
+  },
+
+  detectErrors: async function (page) {
+    return await probePlayback(page);
+  },
+
+  scanChannels: async function (page) {
+    await page.goto(this.defaultUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    return await page.evaluate(function () {
+      return Array.from(document.querySelectorAll('#grid img')).map(function (img) {
+        const m = /\/tile\/(.+)\.svg$/.exec(new URL(img.src).pathname);
+        return { slug: decodeURIComponent(m[1]), name: img.alt, logo: img.src, section: 'Synthetic' };
+      });
+    });
+  },
+});
+// ----------------------------------------------------------------------
+
+// ---------------- Concurrency Control ----------------
+const QUEUE_WAIT_MS = 5000;
+
+let activeStreams = 0;
+const waiters = [];
+
+function notifyStreamSlot() {
+  if (waiters.length > 0) {
+    const r = waiters.shift();
+    try { r(); } catch (e) {}
   }
-  // ---------------------------------------------------
+}
 
-  async function setWindowBounds(page) {
-    const session = await page.target().createCDPSession();
-    const win = await session.send('Browser.getWindowForTarget');
+function waitForStreamSlot(timeoutMs) {
+  if (activeStreams < argv.tuners) return Promise.resolve(true);
 
-    const extraW = 80;
-    const extraH = 160;
+  const waitStart = Date.now();
+  const recordWait = function (outcome) {
+    incCounter('cc4c_queue_waits_total', { outcome: outcome });
+    observeHistogram('cc4c_queue_wait_seconds', { outcome: outcome }, (Date.now() - waitStart) / 1000);
+  };
 
-    await session.send('Browser.setWindowBounds', {
-      windowId: win.windowId,
-      bounds: {
-        windowState: 'normal',
-        width: viewport.width + extraW,
-        height: viewport.height + extraH,
-      },
-    });
+  return new Promise(function (resolve) {
+    const timer = setTimeout(function () {
+      const idx = waiters.indexOf(onSlot);
+      if (idx !== -1) waiters.splice(idx, 1);
+      recordWait('timeout');
+      resolve(false);
+    }, timeoutMs);
 
-    if (argv.minimizeWindow) {
-      await session.send('Browser.setWindowBounds', {
-        windowId: win.windowId,
-        bounds: { windowState: 'minimized' },
-      });
+    function onSlot() {
+      clearTimeout(timer);
+      recordWait('slot');
+      resolve(true);
     }
-  }
 
-  async function minimizeWindow(page) {
-    try {
-      const session = await page.target().createCDPSession();
-      const win = await session.send('Browser.getWindowForTarget');
-      await session.send('Browser.setWindowBounds', {
-        windowId: win.windowId,
-        bounds: { windowState: 'minimized' },
-      });
-      
-      // Keep page active even when minimized
-      try {
-        await session.send('Page.setWebLifecycleState', { state: 'active' });
-        await session.send('Emulation.setFocusEmulationEnabled', { enabled: true });
-        console.log('[Window] Minimized (kept active)');
-      } catch (e) {
-        console.log('[Window] Minimized (but failed to force active state)');
+    waiters.push(onSlot);
+  });
+}
+// ------------------------------------------------------
+
+// ---------------- Stream Fan-out ----------------
+// Copies one capture's output to every viewer of that channel. Viewers that
+// arrive once bytes are already flowing can't start mid-stream: MPEG-TS
+// joiners get the latest PAT/PMT followed by the next video keyframe packet,
+// WebM joiners get the init segment followed by the next Cluster. After a
+// channel switch the next MPEG-TS video keyframe carries the discontinuity
+// flag; WebM has no such marker, and its timestamps keep running anyway.
+const TS_PACKET_SIZE = 188;
+const TS_VIDEO_STREAM_TYPES = [0x01, 0x02, 0x10, 0x1b, 0x24];
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const FANOUT_KEYFRAME_WAIT_MS = 5000;
+const FANOUT_MAX_BUFFERED_BYTES = 32 * 1024 * 1024;
+
+function tsPid(pkt) {
+  return ((pkt[1] & 0x1f) << 8) | pkt[2];
+}
+
+function tsPayloadUnitStart(pkt) {
+  return (pkt[1] & 0x40) !== 0;
+}
+
+function tsPayloadOffset(pkt) {
+  const afc = (pkt[3] >> 4) & 0x3;
+  if (afc === 2) return -1;
+  if (afc === 3) return 5 + pkt[4];
+  return 4;
+}
+
+function tsRandomAccess(pkt) {
+  const afc = (pkt[3] >> 4) & 0x3;
+  return (afc === 2 || afc === 3) && pkt[4] > 0 && (pkt[5] & 0x40) !== 0;
+}
+
+function tsSection(pkt) {
+  if (!tsPayloadUnitStart(pkt)) return null;
+  const offset = tsPayloadOffset(pkt);
+  if (offset < 0 || offset >= TS_PACKET_SIZE) return null;
+  const start = offset + 1 + pkt[offset];
+  return start < TS_PACKET_SIZE ? pkt.subarray(start) : null;
+}
+
+// Follows PAT -> PMT to learn the video PID and keeps the latest copy of both
+// tables so a late joiner can be primed with them.
+function createTsTracker() {
+  let pmtPid = -1;
+  let videoPid = -1;
+  let pat = null;
+  let pmt = null;
+
+  function observe(pkt) {
+    const pid = tsPid(pkt);
+
+    if (pid === 0) {
+      const s = tsSection(pkt);
+      if (!s || s[0] !== 0x00) return;
+      pat = Buffer.from(pkt);
+      const end = Math.min(s.length, 3 + (((s[1] & 0x0f) << 8) | s[2]) - 4);
+      for (let i = 8; i + 4 <= end; i += 4) {
+        const program = (s[i] << 8) | s[i + 1];
+        if (program !== 0) {
+          pmtPid = ((s[i + 2] & 0x1f) << 8) | s[i + 3];
+          break;
+        }
+      }
+    } else if (pid === pmtPid) {
+      const s = tsSection(pkt);
+      if (!s || s[0] !== 0x02) return;
+      pmt = Buffer.from(pkt);
+      const end = Math.min(s.length, 3 + (((s[1] & 0x0f) << 8) | s[2]) - 4);
+      let i = 12 + (((s[10] & 0x0f) << 8) | s[11]);
+      while (i + 5 <= end) {
+        if (TS_VIDEO_STREAM_TYPES.indexOf(s[i]) !== -1) {
+          videoPid = ((s[i + 1] & 0x1f) << 8) | s[i + 2];
+          break;
+        }
+        i += 5 + (((s[i + 3] & 0x0f) << 8) | s[i + 4]);
       }
-    } catch (e) {
-      console.log('[Window] Failed to minimize:', e.message);
     }
   }
 
-  async function setChromeViewScale(page, scale) {
-    const s = Number(scale);
-    if (!isFinite(s) || s <= 0) return;
-    const cdp = await page.target().createCDPSession();
-    try {
-      await cdp.send('Emulation.setPageScaleFactor', { pageScaleFactor: s });
-    } catch (e1) {
-      let zl = 0;
-      if (s <= 0.26) zl = -3;
-      else if (s <= 0.51) zl = -2;
-      else if (s <= 0.76) zl = -1;
-      await cdp.send('Browser.setZoomLevel', { zoomLevel: zl }).catch(function () {});
+  return {
+    observe: observe,
+    isKeyframe: function (pkt) {
+      return videoPid !== -1 && tsPid(pkt) === videoPid && tsPayloadUnitStart(pkt) && tsRandomAccess(pkt);
+    },
+    tables: function () {
+      return pat && pmt ? Buffer.concat([pat, pmt]) : null;
+    },
+  };
+}
+
+function createStreamFanout(format, label) {
+  const subscribers = new Map();
+  const tracker = format === 'mpegts' ? createTsTracker() : null;
+  let remainder = null;
+  let discontinuity = false;
+  let webmInit = null;
+  const webmInitParts = [];
+  let bytesIn = 0;
+  // While paused nothing goes out; after resume() viewers already started
+  // pick up again at the next keyframe (MPEG-TS) or cluster (WebM)
+  let paused = false;
+  let resuming = false;
+
+  function send(res, buf) {
+    if (res.writableLength > FANOUT_MAX_BUFFERED_BYTES) {
+      console.warn('[Fanout] ' + label + ': dropping viewer that fell too far behind');
+      subscribers.delete(res);
+      res.destroy();
+      return;
     }
+    res.write(buf);
+    subscribers.get(res).bytes += buf.length;
+    incCounter('cc4c_bytes_sent_total', { channel: label }, buf.length);
   }
 
-  // ---------------- HDHomeRun Emulation Routes ----------------
-  // Discovery endpoint (required for Plex to find the tuner)
-  app.get('/discover.json', function (req, res) {
-    res.json({
-      FriendlyName: HDHR_FRIENDLY_NAME,
-      Manufacturer: 'Silicondust',
-      ModelNumber: 'HDHR4-2US',
-      FirmwareName: 'hdhomerun4_atsc',
-      TunerCount: HDHR_TUNER_COUNT,
-      FirmwareVersion: '20190621',
-      DeviceID: HDHR_DEVICE_ID,
-      DeviceAuth: 'test1234',
-      BaseURL: req.protocol + '://' + req.get('host'),
-      LineupURL: req.protocol + '://' + req.get('host') + '/lineup.json'
+  function writeTs(chunk) {
+    let buf = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+    const whole = buf.length - (buf.length % TS_PACKET_SIZE);
+    remainder = whole < buf.length ? Buffer.from(buf.subarray(whole)) : null;
+    if (whole === 0) return;
+    buf = buf.subarray(0, whole);
+
+    let keyframeAt = -1;
+    for (let off = 0; off < whole; off += TS_PACKET_SIZE) {
+      const pkt = buf.subarray(off, off + TS_PACKET_SIZE);
+      tracker.observe(pkt);
+      if (paused || !tracker.isKeyframe(pkt)) continue;
+      if (keyframeAt === -1) keyframeAt = off;
+      if (discontinuity) {
+        // discontinuity_indicator in the adaptation field flags
+        pkt[5] |= 0x80;
+        discontinuity = false;
+      }
+    }
+    if (paused) return;
+    if (resuming) {
+      if (keyframeAt === -1) return;
+      resuming = false;
+    }
+    const resumeAt = keyframeAt;
+
+    subscribers.forEach(function (sub, res) {
+      if (sub.started) {
+        send(res, resumeAt > 0 && sub.resuming ? buf.subarray(resumeAt) : buf);
+        sub.resuming = false;
+        return;
+      }
+      const waited = Date.now() - sub.since;
+      if (keyframeAt === -1 && waited < FANOUT_KEYFRAME_WAIT_MS) return;
+
+      sub.started = true;
+      const tables = tracker.tables();
+      if (tables) send(res, tables);
+      if (sub.discontinuity && keyframeAt !== -1) {
+        // Viewer was watching a slate: flag the splice on its copy only
+        const first = Buffer.from(buf.subarray(keyframeAt, keyframeAt + TS_PACKET_SIZE));
+        first[5] |= 0x80;
+        send(res, first);
+        send(res, buf.subarray(keyframeAt + TS_PACKET_SIZE));
+      } else {
+        send(res, keyframeAt === -1 ? buf : buf.subarray(keyframeAt));
+      }
+      console.log('[Fanout] ' + label + ': viewer joined at ' +
+        (keyframeAt === -1 ? 'packet boundary (no keyframe after ' + waited + ' ms)' : 'keyframe'));
     });
-  });
+  }
 
-  // Device info XML (alternate discovery format)
-  app.get('/device.xml', function (req, res) {
-    const xml = '<?xml version="1.0" encoding="UTF-8"?>' +
-      '<root xmlns="urn:schemas-upnp-org:device-1-0">' +
-      '<specVersion><major>1</major><minor>0</minor></specVersion>' +
-      '<device>' +
-      '<deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>' +
-      '<friendlyName>' + HDHR_FRIENDLY_NAME + '</friendlyName>' +
-      '<manufacturer>Silicondust</manufacturer>' +
-      '<modelName>HDHR4-2US</modelName>' +
-      '<modelNumber>HDHR4-2US</modelNumber>' +
-      '<serialNumber></serialNumber>' +
-      '<UDN>uuid:' + HDHR_DEVICE_ID + '</UDN>' +
-      '</device>' +
-      '</root>';
-    
-    res.setHeader('Content-Type', 'application/xml');
-    res.send(xml);
-  });
+  function writeWebm(chunk) {
+    if (!webmInit) {
+      const idx = chunk.indexOf(WEBM_CLUSTER_ID);
+      webmInitParts.push(idx === -1 ? chunk : chunk.subarray(0, idx));
+      if (idx !== -1) webmInit = Buffer.concat(webmInitParts);
+    }
+    if (paused) return;
+    let resumeAt = 0;
+    if (resuming) {
+      resumeAt = chunk.indexOf(WEBM_CLUSTER_ID);
+      if (resumeAt === -1) return;
+      resuming = false;
+    }
 
-  // Lineup endpoint (channel list)
-  app.get('/lineup.json', function (req, res) {
-    const host = req.get('host');
-    const protocol = req.protocol;
-    
-    const lineup = Object.keys(CHANNELS).map(function (channelKey) {
-      const ch = CHANNELS[channelKey];
-      return {
-        GuideNumber: String(ch.number),
-        GuideName: ch.name,
-        URL: protocol + '://' + host + '/stream/' + channelKey
-      };
+    subscribers.forEach(function (sub, res) {
+      if (sub.started) {
+        send(res, sub.resuming ? chunk.subarray(resumeAt) : chunk);
+        sub.resuming = false;
+        return;
+      }
+      const idx = webmInit ? chunk.indexOf(WEBM_CLUSTER_ID) : -1;
+      if (idx === -1) return;
+
+      sub.started = true;
+      send(res, webmInit);
+      send(res, chunk.subarray(idx));
+      console.log('[Fanout] ' + label + ': viewer joined at cluster');
     });
+  }
 
-    res.json(lineup);
-  });
+  return {
+    // discontinuity: the viewer already got other MPEG-TS (a slate) on this response
+    add: function (res, discontinuity) {
+      // Viewers attached before the first byte see the stream from its start,
+      // unless they have to be spliced in at a keyframe
+      subscribers.set(res, { started: bytesIn === 0 && !discontinuity, since: Date.now(), bytes: 0, discontinuity: !!discontinuity });
+    },
+    remove: function (res) {
+      const sub = subscribers.get(res);
+      subscribers.delete(res);
+      return sub ? sub.bytes : null;
+    },
+    size: function () {
+      return subscribers.size;
+    },
+    relabel: function (next) {
+      label = next;
+    },
+    markDiscontinuity: function () {
+      if (tracker) discontinuity = true;
+    },
+    pause: function () {
+      paused = true;
+    },
+    // The output after a pause is flagged as a discontinuity
+    resume: function () {
+      if (!paused) return;
+      paused = false;
+      resuming = true;
+      if (tracker) discontinuity = true;
+      subscribers.forEach(function (sub) {
+        if (sub.started) sub.resuming = true;
+      });
+    },
+    write: function (chunk) {
+      bytesIn += chunk.length;
+      if (tracker) writeTs(chunk);
+      else writeWebm(chunk);
+    },
+    end: function () {
+      subscribers.forEach(function (sub, res) {
+        observeHistogram('cc4c_session_bytes_sent', { channel: label }, sub.bytes);
+        try { res.end(); } catch (e) {}
+      });
+      subscribers.clear();
+    },
+  };
+}
+// ----------------------------------------------------------------------
 
-  // Lineup status
-  app.get('/lineup_status.json', function (req, res) {
-    res.json({
-      ScanInProgress: 0,
-      ScanPossible: 1,
-      Source: 'Cable',
-      SourceList: ['Cable']
-    });
+// ---------------- Slates ----------------
+// Locally generated MPEG-TS (a caption, the channel logo when we have one,
+// silent audio) written straight to a viewer's response: a tuning slate while
+// the channel loads and an error slate when it fails. Only whole TS packets
+// are written so the real capture can be spliced in right after.
+const SLATE_FPS = 25;
+const SLATE_ERROR_SECONDS = 30;
+const SLATE_LINE_CHARS = 48;
+const SLATE_LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+// A logo host that never answers would otherwise hold the fetch open for good
+const SLATE_LOGO_TIMEOUT_MS = 10000;
+const slateLogoFetches = {};
+
+function slateDir() {
+  const dir = path.join(dataDir, 'slate');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function wrapSlateText(text, maxLines) {
+  const lines = [];
+  String(text).split(/\s+/).filter(Boolean).forEach(function (word) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= SLATE_LINE_CHARS) lines[lines.length - 1] = last + ' ' + word;
+    else lines.push(word);
   });
+  return lines.slice(0, maxLines);
+}
 
-  // Tuner status (shows active streams)
-  app.get('/status.json', function (req, res) {
-    res.json({
-      ActiveStreams: activeStreams,
-      MaxStreams: MAX_CONCURRENT_STREAMS
+// Returns the cached logo's file name, or null and fetches it for next time
+function slateLogo(url) {
+  if (!url) return null;
+  const name = 'logo-' + crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  if (fs.existsSync(path.join(slateDir(), name))) return name;
+
+  if (!slateLogoFetches[url]) {
+    slateLogoFetches[url] = fetch(url, { signal: AbortSignal.timeout(SLATE_LOGO_TIMEOUT_MS) }).then(async function (r) {
+      const type = (r.headers.get('content-type') || '').split(';')[0].trim();
+      if (!r.ok || SLATE_LOGO_TYPES.indexOf(type) === -1) throw new Error('HTTP ' + r.status + ' ' + type);
+      fs.writeFileSync(path.join(slateDir(), name), Buffer.from(await r.arrayBuffer()));
+    }).catch(function (e) {
+      console.warn('[Slate] Could not fetch logo ' + url + ':', e.message || e);
+      // Try again on the next slate
+      delete slateLogoFetches[url];
     });
-  });
+  }
+  return null;
+}
 
-  // Lineup POST (for tuning)
-  app.post('/lineup.post', function (req, res) {
-    res.send('OK');
-  });
-  // -----------------------------------------------------------
+// options: { background, seconds, logo, onEnd }
+function startSlate(res, lines, options) {
+  const dir = slateDir();
+  const caption = lines.join('\n');
+  // drawtext reads the caption from a file to dodge filtergraph escaping
+  const captionFile = 'caption-' + crypto.createHash('sha1').update(caption).digest('hex').slice(0, 16) + '.txt';
+  if (!fs.existsSync(path.join(dir, captionFile))) fs.writeFileSync(path.join(dir, captionFile), caption);
 
-  // ---------------- Routes ----------------
-  app.get('/', function (req, res) {
-    const host = req.get('host');
-    const protocol = req.protocol;
+  const w = viewport.width;
+  const h = viewport.height;
+  const fontSize = Math.round(h / 16);
+  const text = 'drawtext=textfile=' + captionFile + ':fontcolor=white:fontsize=' + fontSize +
+    ':line_spacing=' + Math.round(fontSize / 2) + ':x=(w-text_w)/2';
+
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-re',
+    '-f', 'lavfi', '-i', 'color=c=' + (options.background || 'black') + ':s=' + w + 'x' + h + ':r=' + SLATE_FPS,
+    '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo',
+  ];
+  let graph;
+  if (options.logo) {
+    args.push('-loop', '1', '-i', options.logo);
+    graph = '[2:v]scale=-1:' + Math.round(h / 4) + '[logo];[0:v][logo]overlay=(W-w)/2:H/2-h-' + Math.round(h / 20) + '[bg];' +
+      '[bg]' + text + ':y=h/2+' + Math.round(h / 20) + '[v]';
+  } else {
+    graph = '[0:v]' + text + ':y=(h-text_h)/2[v]';
+  }
+  args.push(
+    '-filter_complex', graph,
+    '-map', '[v]',
+    '-map', '1:a',
+    '-c:v', 'libx264',
+    '-preset', 'ultrafast',
+    '-tune', 'stillimage',
+    '-pix_fmt', 'yuv420p',
+    '-g', String(SLATE_FPS),
+    '-c:a', 'aac',
+    '-b:a', '64k'
+  );
+  if (options.seconds) args.push('-t', String(options.seconds));
+  args.push('-f', 'mpegts', 'pipe:1');
+
+  const ffmpeg = child_process.spawn(cachedFFmpegPath || 'ffmpeg', args, { cwd: dir, stdio: ['ignore', 'pipe', 'pipe'] });
+  let stopped = false;
+  let remainder = null;
+
+  ffmpeg.stdout.on('data', function (chunk) {
+    if (stopped) return;
+    const buf = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+    const whole = buf.length - (buf.length % TS_PACKET_SIZE);
+    remainder = whole < buf.length ? Buffer.from(buf.subarray(whole)) : null;
+    if (whole > 0) res.write(buf.subarray(0, whole));
+  });
+  ffmpeg.stderr.on('data', function (data) {
+    if (stopped) return;
+    // Static FFmpeg builds complain about the system's fontconfig files
+    data.toString().split('\n').forEach(function (line) {
+      if (line.trim() && !/Fontconfig|unknown element/.test(line)) console.log('[Slate] FFmpeg: ' + line.trim());
+    });
+  });
+  ffmpeg.on('error', function (err) {
+    if (!stopped) console.error('[Slate] FFmpeg error:', err.message);
+  });
+  // 'close' also fires when FFmpeg could not be started at all
+  ffmpeg.on('close', function () {
+    if (!stopped && options.onEnd) options.onEnd();
+    stopped = true;
+  });
+
+  const stop = function () {
+    if (stopped) return;
+    stopped = true;
+    ffmpeg.kill('SIGTERM');
+  };
+  res.on('close', stop);
+  return { stop: stop };
+}
+
+function startTuningSlate(res, channel) {
+  return startSlate(res, ['Tuning ' + channel.name + '...'], { logo: slateLogo(channel.logo) });
+}
+
+// Plays for SLATE_ERROR_SECONDS and then ends the response
+function startErrorSlate(res, channel, message) {
+  return startSlate(res, ['Could not tune ' + channel.name].concat(wrapSlateText(message, 4)), {
+    background: '0x401010',
+    seconds: SLATE_ERROR_SECONDS,
+    logo: slateLogo(channel.logo),
+    onEnd: function () { res.end(); },
+  });
+}
+
+// Headers for a viewer that will get MPEG-TS on this response
+function sendTsHeaders(res) {
+  res.status(200);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Content-Type', 'video/mp2t');
+  if (res.flushHeaders) res.flushHeaders();
+}
+// ----------------------------------------------------------------------
+
+// ---------------- HDHomeRun Discovery (UDP) ----------------
+// Lets Plex, Emby, Jellyfin and Channels find the tuner on their own: the
+// HDHomeRun discovery protocol on UDP 65001, and SSDP on 1900 pointing at
+// /device.xml. Packets are <type u16><length u16><TLVs><crc32 LE>.
+const HDHR_DISCOVER_PORT = 65001;
+const HDHR_TYPE_DISCOVER_REQ = 0x0002;
+const HDHR_TYPE_DISCOVER_RPY = 0x0003;
+const HDHR_TAG_DEVICE_TYPE = 0x01;
+const HDHR_TAG_DEVICE_ID = 0x02;
+const HDHR_TAG_TUNER_COUNT = 0x10;
+const HDHR_TAG_LINEUP_URL = 0x27;
+const HDHR_TAG_BASE_URL = 0x2a;
+const HDHR_TAG_DEVICE_AUTH_STR = 0x2b;
+const HDHR_DEVICE_TYPE_TUNER = 0x00000001;
+const HDHR_DEVICE_WILDCARD = 0xffffffff;
+const HDHR_DEVICE_ID_FILE = 'hdhr-device-id.txt';
+const HDHR_ID_CHECKSUM_LOOKUP = [0xa, 0x5, 0xf, 0x6, 0x7, 0xc, 0x1, 0xb, 0x9, 0x2, 0x8, 0xd, 0x4, 0x3, 0xe, 0x0];
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const SSDP_MAX_AGE = 1800;
+const SSDP_NOTIFY_MS = 15 * 60 * 1000;
+const SSDP_DEVICE_TYPE = 'urn:schemas-upnp-org:device:MediaServer:1';
+
+let crc32Table = null;
+
+function crc32(buf) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = crc32Table[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Clients reject ids that fail the HDHomeRun checksum: the last nibble is
+// worked out from the other seven. Returns id with that nibble set.
+function hdhrChecksummedId(value) {
+  const id = value & 0xfffffff0;
+  let checksum = 0;
+  for (let shift = 28; shift >= 4; shift -= 4) {
+    const nibble = (id >>> shift) & 0x0f;
+    checksum ^= (shift / 4) % 2 === 1 ? HDHR_ID_CHECKSUM_LOOKUP[nibble] : nibble;
+  }
+  return (id | checksum) >>> 0;
+}
+
+function isHdhrDeviceId(id) {
+  return /^[0-9A-F]{8}$/.test(id) && hdhrChecksummedId(parseInt(id, 16)) === parseInt(id, 16);
+}
+
+// The device id, as the 8 hex digits every discovery answer and HTTP
+// endpoint carries. Made up once and kept in dataDir, so clients keep
+// recognising the tuner across restarts. --deviceId overrides it, which is
+// how installs that were added to a DVR as KAYO1234 (the fixed id of older
+// releases) keep their setup.
+function loadHdhrDeviceId() {
+  if (argv.deviceId) {
+    const id = String(argv.deviceId).trim().toUpperCase();
+    if (!isHdhrDeviceId(id)) console.warn('[HDHomeRun] --deviceId ' + id + ' is not a valid HDHomeRun id, UDP discovery stays off');
+    return id;
+  }
+
+  const file = path.join(dataDir, HDHR_DEVICE_ID_FILE);
+  try {
+    const saved = fs.readFileSync(file, 'utf8').trim().toUpperCase();
+    if (isHdhrDeviceId(saved)) return saved;
+    console.warn('[HDHomeRun] Ignoring invalid device id in ' + file + ': ' + saved);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('[HDHomeRun] Could not read ' + file + ':', e.message);
+  }
+  const id = hdhrChecksummedId(crypto.randomBytes(4).readUInt32BE(0)).toString(16).toUpperCase().padStart(8, '0');
+  fs.writeFileSync(file, id + '\n');
+  console.log('[HDHomeRun] New device id ' + id + ' saved to ' + file);
+  console.log('[HDHomeRun] A DVR that already knows this tuner as KAYO1234 will see a new device; start with --deviceId KAYO1234 to keep its setup');
+  return id;
+}
+
+function hdhrEncodeTlv(tag, value) {
+  const len = value.length;
+  const header = len < 128 ? Buffer.from([tag, len]) : Buffer.from([tag, (len & 0x7f) | 0x80, len >> 7]);
+  return Buffer.concat([header, value]);
+}
+
+function hdhrPacket(type, tlvs) {
+  const payload = Buffer.concat(tlvs);
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(payload.length, 2);
+  const body = Buffer.concat([header, payload]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32LE(crc32(body), 0);
+  return Buffer.concat([body, crc]);
+}
+
+function hdhrParsePacket(buf) {
+  if (buf.length < 8) return null;
+  const length = buf.readUInt16BE(2);
+  if (buf.length !== length + 8) return null;
+  if (crc32(buf.subarray(0, length + 4)) !== buf.readUInt32LE(length + 4)) return null;
+
+  const tags = {};
+  let i = 4;
+  while (i + 2 <= length + 4) {
+    const tag = buf[i];
+    let len = buf[i + 1];
+    i += 2;
+    if (len & 0x80) {
+      len = (len & 0x7f) | (buf[i] << 7);
+      i++;
+    }
+    if (i + len > length + 4) return null;
+    tags[tag] = buf.subarray(i, i + len);
+    i += len;
+  }
+  return { type: buf.readUInt16BE(0), tags: tags };
+}
+
+// The address a client on remoteAddress can reach us on
+function localAddressFor(remoteAddress) {
+  if (argv.advertiseHost) return argv.advertiseHost;
+
+  const toInt = function (ip) {
+    return ip.split('.').reduce(function (acc, part) { return ((acc << 8) | Number(part)) >>> 0; }, 0);
+  };
+  const candidates = [];
+  const interfaces = require('os').networkInterfaces();
+  Object.keys(interfaces).forEach(function (name) {
+    (interfaces[name] || []).forEach(function (addr) {
+      if (addr.family === 'IPv4' || addr.family === 4) candidates.push(addr);
+    });
+  });
+
+  const remote = toInt(remoteAddress.replace(/^::ffff:/, ''));
+  const sameSubnet = candidates.find(function (addr) {
+    const mask = toInt(addr.netmask);
+    return (toInt(addr.address) & mask) === (remote & mask);
+  });
+  const external = candidates.find(function (addr) { return !addr.internal; });
+  return (sameSubnet || external || { address: '127.0.0.1' }).address;
+}
+
+// The requesting client's IPv4 address without the IPv6 mapping prefix
+function clientAddress(req) {
+  return String(req.ip || (req.socket && req.socket.remoteAddress) || '').replace(/^::ffff:/, '');
+}
+
+function startHdhrDiscovery(info) {
+  // The UDP protocol carries the id as a number, which a legacy id isn't
+  if (!isHdhrDeviceId(info.deviceId)) return null;
+  const dgram = require('dgram');
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  const numericId = parseInt(info.deviceId, 16);
+
+  socket.on('message', function (msg, rinfo) {
+    const packet = hdhrParsePacket(msg);
+    if (!packet || packet.type !== HDHR_TYPE_DISCOVER_REQ) return;
+
+    const wantType = packet.tags[HDHR_TAG_DEVICE_TYPE];
+    if (wantType && wantType.length === 4) {
+      const t = wantType.readUInt32BE(0);
+      if (t !== HDHR_DEVICE_TYPE_TUNER && t !== HDHR_DEVICE_WILDCARD) return;
+    }
+    const wantId = packet.tags[HDHR_TAG_DEVICE_ID];
+    if (wantId && wantId.length === 4) {
+      const id = wantId.readUInt32BE(0);
+      if (id !== numericId && id !== HDHR_DEVICE_WILDCARD) return;
+    }
+
+    const baseUrl = 'http://' + localAddressFor(rinfo.address) + ':' + info.port;
+    const u32 = function (n) {
+      const b = Buffer.alloc(4);
+      b.writeUInt32BE(n >>> 0, 0);
+      return b;
+    };
+    const reply = hdhrPacket(HDHR_TYPE_DISCOVER_RPY, [
+      hdhrEncodeTlv(HDHR_TAG_DEVICE_TYPE, u32(HDHR_DEVICE_TYPE_TUNER)),
+      hdhrEncodeTlv(HDHR_TAG_DEVICE_ID, u32(numericId)),
+      hdhrEncodeTlv(HDHR_TAG_TUNER_COUNT, Buffer.from([info.tunerCount() & 0xff])),
+      hdhrEncodeTlv(HDHR_TAG_DEVICE_AUTH_STR, Buffer.from(info.deviceAuth)),
+      hdhrEncodeTlv(HDHR_TAG_BASE_URL, Buffer.from(baseUrl)),
+      hdhrEncodeTlv(HDHR_TAG_LINEUP_URL, Buffer.from(baseUrl + '/lineup.json')),
+    ]);
+
+    socket.send(reply, rinfo.port, rinfo.address);
+    console.log('[HDHomeRun] Discovery request from', rinfo.address + ', advertised', baseUrl);
+  });
+
+  socket.on('error', function (err) {
+    console.log('[HDHomeRun] UDP discovery unavailable:', err.message);
+    try { socket.close(); } catch (e) {}
+  });
+
+  socket.bind(HDHR_DISCOVER_PORT, function () {
+    console.log('[HDHomeRun] UDP discovery listening on port', HDHR_DISCOVER_PORT,
+      '(device id ' + info.deviceId + ')');
+  });
+
+  return socket;
+}
+
+function startSsdp(info) {
+  const dgram = require('dgram');
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  const uuid = 'uuid:' + info.deviceId;
+  const targets = ['upnp:rootdevice', uuid, SSDP_DEVICE_TYPE];
+  const server = process.platform + ' UPnP/1.0 cc4c/' + require('./package.json').version;
+
+  const usnFor = function (st) {
+    return st === uuid ? uuid : uuid + '::' + st;
+  };
+  const locationFor = function (address) {
+    return 'http://' + localAddressFor(address) + ':' + info.port + '/device.xml';
+  };
+
+  socket.on('message', function (msg, rinfo) {
+    const text = msg.toString();
+    if (text.indexOf('M-SEARCH') !== 0) return;
+    const st = (/^ST:\s*(.+)$/im.exec(text) || [])[1];
+    if (!st) return;
+
+    const wanted = st.trim() === 'ssdp:all' ? targets : targets.filter(function (t) { return t === st.trim(); });
+    wanted.forEach(function (target) {
+      const reply =
+        'HTTP/1.1 200 OK\r\n' +
+        'CACHE-CONTROL: max-age=' + SSDP_MAX_AGE + '\r\n' +
+        'EXT:\r\n' +
+        'LOCATION: ' + locationFor(rinfo.address) + '\r\n' +
+        'SERVER: ' + server + '\r\n' +
+        'ST: ' + target + '\r\n' +
+        'USN: ' + usnFor(target) + '\r\n' +
+        '\r\n';
+      socket.send(reply, rinfo.port, rinfo.address);
+    });
+    if (wanted.length) console.log('[SSDP] Answered M-SEARCH for', st.trim(), 'from', rinfo.address);
+  });
+
+  // done runs once every target's message has been sent
+  const notify = function (nts, done) {
+    const location = locationFor(SSDP_ADDRESS);
+    let left = targets.length;
+    targets.forEach(function (target) {
+      const message =
+        'NOTIFY * HTTP/1.1\r\n' +
+        'HOST: ' + SSDP_ADDRESS + ':' + SSDP_PORT + '\r\n' +
+        'CACHE-CONTROL: max-age=' + SSDP_MAX_AGE + '\r\n' +
+        'LOCATION: ' + location + '\r\n' +
+        'NT: ' + target + '\r\n' +
+        'NTS: ' + nts + '\r\n' +
+        'SERVER: ' + server + '\r\n' +
+        'USN: ' + usnFor(target) + '\r\n' +
+        '\r\n';
+      socket.send(message, SSDP_PORT, SSDP_ADDRESS, function () {
+        left--;
+        if (left === 0 && done) done();
+      });
+    });
+  };
+
+  socket.on('error', function (err) {
+    console.log('[SSDP] Announcements unavailable:', err.message);
+    try { socket.close(); } catch (e) {}
+  });
+
+  socket.bind(SSDP_PORT, function () {
+    try {
+      socket.addMembership(SSDP_ADDRESS);
+    } catch (e) {
+      console.log('[SSDP] Could not join multicast group:', e.message);
+    }
+    notify('ssdp:alive');
+    setInterval(function () { notify('ssdp:alive'); }, SSDP_NOTIFY_MS).unref();
+    console.log('[SSDP] Announcing', uuid, 'on port', SSDP_PORT);
+  });
+
+  return {
+    socket: socket,
+    // Resolves once the goodbye is on the wire, so it can go out before exit
+    byebye: function () {
+      return new Promise(function (resolve) {
+        try {
+          notify('ssdp:byebye', resolve);
+        } catch (e) {
+          resolve();
+        }
+      });
+    },
+  };
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Executable Path ----------------
+function getExecutablePath() {
+  if (process.env.CHROME_BIN) return process.env.CHROME_BIN;
+
+  let executablePath = null;
+
+  if (process.platform === 'linux') {
+    try {
+      executablePath = child_process.execSync('which chromium-browser').toString().split('\n').shift();
+    } catch (e) {}
+    if (!executablePath) {
+      try {
+        executablePath = child_process.execSync('which chromium').toString().split('\n').shift();
+      } catch (e2) {}
+      if (!executablePath) throw new Error('Chromium not found (which chromium)');
+    }
+  } else if (process.platform === 'darwin') {
+    executablePath = [
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium',
+      '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser',
+    ].find(fs.existsSync);
+  } else if (process.platform === 'win32') {
+    executablePath = [
+      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+      path.join(process.env.USERPROFILE || '', 'AppData', 'Local', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+      path.join(process.env.USERPROFILE || '', 'AppData', 'Local', 'Chromium', 'Application', 'chrome.exe'),
+    ].find(fs.existsSync);
+  } else {
+    throw new Error('Unsupported platform: ' + process.platform);
+  }
+
+  return executablePath;
+}
+
+// ---------------- Browser (shared profile) ----------------
+// One Chrome serves every tab. Concurrent callers share a single launch. When
+// Chrome goes away without closeBrowser() being called, browserEvents emits
+// 'crash' so running sessions can be re-tuned in a new one.
+const browserEvents = new EventEmitter();
+let browserLaunching = null;
+let browserClosing = false;
+let browserCrashes = 0;
+// How long a capture whose output stopped waits to see whether Chrome crashed
+const BROWSER_CRASH_GRACE_MS = 2000;
+
+async function getCurrentBrowser() {
+  if (currentBrowser && currentBrowser.isConnected()) return currentBrowser;
+  if (!browserLaunching) {
+    browserLaunching = launchBrowser().finally(function () { browserLaunching = null; });
+  }
+  return browserLaunching;
+}
+
+async function launchBrowser() {
+  const browser = await launch(
+    {
+      launch: function (opts) {
+        if (process.env.DOCKER) {
+          opts.args = (opts.args || []).concat([
+            '--use-gl=angle',
+            '--use-angle=gl-egl',
+            '--enable-features=VaapiVideoDecoder,VaapiVideoEncoder',
+            '--ignore-gpu-blocklist',
+            '--enable-zero-copy',
+            '--enable-drdc',
+            '--no-sandbox',
+          ]);
+        }
+        console.log('Launching Browser, Opts', opts);
+        incCounter('cc4c_browser_launches_total');
+        return puppeteerLaunch(opts);
+      },
+    },
+    {
+      executablePath: getExecutablePath(),
+      pipe: true,
+      headless: false,
+      defaultViewport: null,
+      userDataDir: path.join(dataDir, 'chromedata'),
+      args: [
+        '--no-first-run',
+        '--hide-crash-restore-bubble',
+        '--allow-running-insecure-content',
+        '--autoplay-policy=no-user-gesture-required',
+        '--disable-blink-features=AutomationControlled',
+        '--hide-scrollbars',
+        '--window-size=' + viewport.width + ',' + viewport.height,
+        '--disable-notifications',
+        '--disable-background-networking',
+        '--disable-background-timer-throttling',
+        '--disable-background-media-suspend',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding',
+        '--force-prefers-reduced-motion',
+        '--disable-features=CalculateNativeWinOcclusion',
+      ],
+      ignoreDefaultArgs: [
+        '--enable-automation',
+        '--disable-extensions',
+        '--disable-default-apps',
+        '--disable-component-update',
+        '--disable-component-extensions-with-background-pages',
+        '--enable-blink-features=IdleDetection',
+        '--mute-audio',
+      ],
+    }
+  );
+  currentBrowser = browser;
+
+  browser.on('targetcreated', function (target) {
+    console.log('New target page created:', target.url());
+  });
+
+  browser.on('targetchanged', function (target) {
+    console.log('Target page changed:', target.url());
+  });
+
+  browser.on('targetdestroyed', function (target) {
+    console.log('Browser page closed:', target.url());
+  });
+
+  browser.on('disconnected', function () {
+    if (currentBrowser === browser) currentBrowser = null;
+    if (browserClosing) {
+      console.log('Browser closed');
+      return;
+    }
+    browserCrashes++;
+    incCounter('cc4c_browser_crashes_total');
+    console.error('[Browser] Chrome disconnected unexpectedly (crash ' + browserCrashes + ' since start)');
+    browserEvents.emit('crash');
+  });
+
+  return browser;
+}
+
+// Closes Chrome on purpose, so it isn't treated as a crash
+async function closeBrowser() {
+  browserClosing = true;
+  const browser = currentBrowser || (browserLaunching ? await browserLaunching.catch(function () { return null; }) : null);
+  if (!browser) return;
+  try { await browser.close(); } catch (e) {}
+  currentBrowser = null;
+}
+
+// ---------------- Channel Lineup ----------------
+// The lineup lives in channels.json (or channels.yaml) inside dataDir so new
+// channels and renumbering don't need a rebuild. The file is written from the
+// defaults below on first launch and reloaded whenever it changes.
+const LINEUP_FILE_NAMES = ['channels.json', 'channels.yaml', 'channels.yml'];
+const LINEUP_POLL_MS = 2000;
+
+const DEFAULT_CHANNELS = {
+  espn: {
+    slug: '5bce8eb9e4b0a8faf3c14a94',
+    name: 'ESPN',
+    number: 509
+  },
+  footy: {
+    slug: '5bcefacfe4b0a8faf3c14ae2',
+    name: 'Fox Footy',
+    number: 504
+  },
+  cricket: {
+    slug: '5bcef5ede4b0a8faf3c14acf',
+    name: 'Fox Cricket',
+    number: 501
+  },
+  '505': {
+    slug: '5bcefaf5e4b0cb6f1d7f46fc',
+    name: 'Fox Sports 505',
+    number: 505
+  },
+  '503': {
+    slug: '5bcef93ae4b0a8faf3c14ada',
+    name: 'Fox Sports 503',
+    number: 503
+  },
+  '506': {
+    slug: '5bcefc4ae4b0a8faf3c14aed',
+    name: 'Fox Sports 506',
+    number: 506
+  },
+  league: {
+    slug: '5bcef901e4b0cb6f1d7f46f3',
+    name: 'Fox League',
+    number: 502
+  },
+  news: {
+    slug: '5bcefccee4b0a8faf3c14aef',
+    name: 'Fox Sports News',
+    number: 500
+  },
+  racing: {
+    slug: '5ccacc4ae4b020d0a4eb3979',
+    name: 'Racing.com',
+    number: 529
+  },
+  ufc: {
+    slug: '66d524f4e4b06b17c2bfdd58',
+    name: 'Main Event UFC',
+    number: 523
+  },
+  espn2: {
+    slug: '5bcef583e4b0a8faf3c14acb',
+    name: 'ESPN2',
+    number: 510
+  },
+  '507': {
+    slug: '5bcefc6be4b0cb6f1d7f4703',
+    name: 'Fox Sports 507',
+    number: 507
+  },
+};
+
+let CHANNELS = {};
+let lineupPath = null;
+
+function parseConfigFile(filePath, text) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return require('yaml').parse(text);
+  }
+  return JSON.parse(text);
+}
+
+function validateLineup(raw) {
+  const source = raw && typeof raw === 'object' && raw.channels !== undefined ? raw.channels : raw;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Invalid channel lineup: expected an object keyed by channel name');
+  }
+
+  const errors = [];
+  const channels = {};
+  const numbers = {};
+
+  Object.keys(source).forEach(function (rawKey) {
+    const key = rawKey.toLowerCase();
+    const entry = source[rawKey];
+    const where = 'channel "' + rawKey + '"';
+
+    if (!/^[a-z0-9_-]+$/.test(key)) {
+      errors.push(where + ': key may only contain letters, digits, "-" and "_"');
+      return;
+    }
+    if (channels[key]) {
+      errors.push(where + ': duplicate key (keys are not case-sensitive)');
+      return;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(where + ': must be an object with slug, name and number');
+      return;
+    }
+
+    const slug = typeof entry.slug === 'string' ? entry.slug.trim() : '';
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    const number = Number(entry.number);
+
+    if (!slug) errors.push(where + ': missing slug');
+    if (!name) errors.push(where + ': missing name');
+    if (!Number.isInteger(number) || number <= 0) {
+      errors.push(where + ': number must be a positive integer (got ' + JSON.stringify(entry.number) + ')');
+    } else if (numbers[number]) {
+      errors.push(where + ': number ' + number + ' is already used by channel "' + numbers[number] + '"');
+    } else {
+      numbers[number] = rawKey;
+    }
+    if (entry.url !== undefined && (typeof entry.url !== 'string' || !/^https?:\/\//i.test(entry.url))) {
+      errors.push(where + ': url must be an http(s) URL');
+    }
+    ['logo', 'art', 'playUrl'].forEach(function (field) {
+      if (entry[field] !== undefined && (typeof entry[field] !== 'string' || !/^https?:\/\//i.test(entry[field]))) {
+        errors.push(where + ': ' + field + ' must be an http(s) URL');
+      }
+    });
+    if (entry.group !== undefined && (typeof entry.group !== 'string' || !entry.group.trim())) {
+      errors.push(where + ': group must be a non-empty string');
+    }
+    if (entry.stationId !== undefined && typeof entry.stationId !== 'string' && typeof entry.stationId !== 'number') {
+      errors.push(where + ': stationId must be a string or number');
+    }
+    const provider = entry.provider === undefined ? DEFAULT_PROVIDER : entry.provider;
+    if (!PROVIDERS[provider]) {
+      errors.push(where + ': unknown provider ' + JSON.stringify(entry.provider) + ' (known: ' + Object.keys(PROVIDERS).join(', ') + ')');
+      return;
+    }
+
+    channels[key] = Object.assign({}, entry, {
+      provider: provider,
+      url: entry.url || PROVIDERS[provider].defaultUrl,
+      slug: slug,
+      name: name,
+      number: number,
+    });
+  });
+
+  if (errors.length === 0 && Object.keys(channels).length === 0) {
+    errors.push('lineup is empty');
+  }
+
+  if (errors.length > 0) {
+    const err = new Error('Invalid channel lineup:\n  ' + errors.join('\n  '));
+    err.errors = errors;
+    throw err;
+  }
+
+  return channels;
+}
+
+function resolveLineupPath() {
+  if (argv.channelsFile) return path.resolve(argv.channelsFile);
+
+  for (const name of LINEUP_FILE_NAMES) {
+    const p = path.join(dataDir, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return path.join(dataDir, LINEUP_FILE_NAMES[0]);
+}
+
+function readLineup(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let raw;
+  try {
+    raw = parseConfigFile(filePath, text);
+  } catch (e) {
+    throw new Error('Failed to parse ' + filePath + ': ' + e.message);
+  }
+  return validateLineup(raw);
+}
+
+function describeLineupChanges(before, after) {
+  const added = Object.keys(after).filter(function (k) { return !before[k]; });
+  const removed = Object.keys(before).filter(function (k) { return !after[k]; });
+  const changed = Object.keys(after).filter(function (k) {
+    return before[k] && JSON.stringify(before[k]) !== JSON.stringify(after[k]);
+  });
+
+  const parts = [];
+  if (added.length) parts.push('added: ' + added.join(', '));
+  if (removed.length) parts.push('removed: ' + removed.join(', '));
+  if (changed.length) parts.push('changed: ' + changed.join(', '));
+  return parts.length ? parts.join('; ') : 'no changes';
+}
+
+function reloadLineup() {
+  try {
+    const next = readLineup(lineupPath);
+    const summary = describeLineupChanges(CHANNELS, next);
+    CHANNELS = next;
+    console.log('[Channels] Reloaded ' + lineupPath + ' (' + Object.keys(next).length + ' channels, ' + summary + ')');
+  } catch (e) {
+    console.error('[Channels] Keeping previous lineup, reload failed:', e.message);
+  }
+}
+
+// Sessions hold their own channel object, so swapping CHANNELS never touches
+// streams that are already running.
+function loadLineup() {
+  lineupPath = resolveLineupPath();
+
+  if (!fs.existsSync(lineupPath)) {
+    if (argv.channelsFile) throw new Error('Channel lineup file not found: ' + lineupPath);
+    fs.writeFileSync(lineupPath, JSON.stringify({ channels: DEFAULT_CHANNELS }, null, 2) + '\n');
+    console.log('[Channels] Wrote default lineup to', lineupPath);
+  }
+
+  CHANNELS = readLineup(lineupPath);
+  console.log('[Channels] Loaded', Object.keys(CHANNELS).length, 'channels from', lineupPath);
+
+  fs.watchFile(lineupPath, { interval: LINEUP_POLL_MS }, function (curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.nlink === 0) {
+      console.warn('[Channels] ' + lineupPath + ' was removed, keeping current lineup');
+      return;
+    }
+    reloadLineup();
+  });
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Channel Scan ----------------
+// Lists the channel tiles a provider shows to the logged-in profile and
+// compares them with the lineup. Accepted tiles are appended to the lineup
+// file and picked up like any other edit.
+let channelScan = { state: 'idle', provider: null, startedAt: null, finishedAt: null, error: null, progress: 0, foundSoFar: 0, tiles: [] };
+let channelScanPromise = null;
+
+function suggestChannelKey(name, slug, taken) {
+  const base = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || slug.slice(-6).toLowerCase();
+  let key = base;
+  for (let n = 2; taken[key]; n++) key = base + '-' + n;
+  taken[key] = true;
+  return key;
+}
+
+function nextFreeChannelNumber(used) {
+  let n = Math.max.apply(null, [0].concat(Object.keys(used).map(Number))) + 1;
+  while (used[n]) n++;
+  used[n] = true;
+  return n;
+}
+
+// The diff is worked out against the lineup as it is now, so it stays right
+// after channels are accepted or the file is edited by hand.
+function describeChannelScan() {
+  const providerName = channelScan.provider;
+  const bySlug = {};
+  const takenKeys = {};
+  const usedNumbers = {};
+  Object.keys(CHANNELS).forEach(function (key) {
+    const ch = CHANNELS[key];
+    if (ch.provider === providerName) bySlug[ch.slug] = key;
+    takenKeys[key] = true;
+    usedNumbers[ch.number] = true;
+  });
+
+  const scanned = {};
+  const found = channelScan.tiles.map(function (tile) {
+    scanned[tile.slug] = true;
+    const key = bySlug[tile.slug];
+    if (key) return Object.assign({}, tile, { status: 'in lineup', key: key, number: CHANNELS[key].number });
+    return Object.assign({}, tile, {
+      status: 'new',
+      suggestedKey: suggestChannelKey(tile.name, tile.slug, takenKeys),
+      suggestedNumber: nextFreeChannelNumber(usedNumbers),
+    });
+  });
+  const missing = channelScan.state === 'done' ? Object.keys(bySlug).filter(function (slug) {
+    return !scanned[slug];
+  }).map(function (slug) { return bySlug[slug]; }) : [];
+
+  return {
+    state: channelScan.state,
+    provider: providerName,
+    startedAt: channelScan.startedAt,
+    finishedAt: channelScan.finishedAt,
+    error: channelScan.error,
+    loginRequired: !!channelScan.loginRequired,
+    progress: channelScan.progress,
+    new: found.filter(function (f) { return f.status === 'new'; }).length,
+    found: found,
+    missing: missing,
+  };
+}
+
+// Concurrent callers share the scan that is already running.
+function runChannelScan(providerName) {
+  if (channelScanPromise) return channelScanPromise;
+
+  const provider = getProvider(providerName);
+  if (typeof provider.scanChannels !== 'function') {
+    return Promise.reject(new Error('provider "' + provider.name + '" cannot scan for channels'));
+  }
+
+  channelScan = { state: 'running', provider: provider.name, startedAt: new Date().toISOString(), finishedAt: null, error: null, progress: 0, foundSoFar: 0, tiles: [] };
+  const scan = channelScan;
+  console.log('[Scan] Scanning ' + provider.label + ' for channels...');
+
+  channelScanPromise = (async function () {
+    let page = null;
+    try {
+      const browser = await getCurrentBrowser();
+      page = await browser.newPage();
+      const tiles = await provider.scanChannels(page, function (progress, found) {
+        scan.progress = Math.min(99, Math.round(progress));
+        scan.foundSoFar = found;
+      });
+      channelScan = Object.assign({}, channelScan, { state: 'done', finishedAt: new Date().toISOString(), progress: 100, foundSoFar: tiles.length, tiles: tiles });
+      const summary = describeChannelScan();
+      console.log('[Scan] Found ' + tiles.length + ' channel tiles, ' + summary.new + ' not in the lineup' +
+        (summary.missing.length ? ', missing: ' + summary.missing.join(', ') : ''));
+    } catch (e) {
+      channelScan = Object.assign({}, channelScan, {
+        state: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: e.message || String(e),
+        loginRequired: !!e.loginRequired,
+      });
+      console.error('[Scan] Failed:', e.message || e);
+    } finally {
+      if (page) {
+        try { await page.close(); } catch (e) {}
+      }
+      channelScanPromise = null;
+    }
+    return describeChannelScan();
+  })();
+  return channelScanPromise;
+}
+
+// items: [{ slug, number?, key?, name? }]. Slugs from the last scan fill in
+// the name and logo; anything else needs a name. Returns { added } or { errors }.
+function acceptScannedChannels(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ['expected { "channels": [{ "slug": "...", "number": 123 }] }'] };
+  }
+
+  const original = fs.readFileSync(lineupPath, 'utf8');
+  const raw = parseConfigFile(lineupPath, original);
+  const nested = raw && typeof raw === 'object' && raw.channels !== undefined;
+  const source = nested ? raw.channels : raw;
+
+  const tiles = {};
+  channelScan.tiles.forEach(function (tile) { tiles[tile.slug] = tile; });
+  const takenKeys = {};
+  const usedNumbers = {};
+  Object.keys(source).forEach(function (key) {
+    takenKeys[key.toLowerCase()] = true;
+    if (source[key] && source[key].number !== undefined) usedNumbers[source[key].number] = true;
+  });
+
+  const errors = [];
+  const added = [];
+  items.forEach(function (item, i) {
+    const where = 'channels[' + i + ']';
+    const slug = item && typeof item.slug === 'string' ? item.slug.trim() : '';
+    if (!slug) {
+      errors.push(where + ': missing slug');
+      return;
+    }
+    const tile = tiles[slug];
+    const name = item.name || (tile && tile.name);
+    if (!name) {
+      errors.push(where + ': ' + slug + ' has no name from the scan, give it one');
+      return;
+    }
+
+    let key;
+    if (item.key !== undefined) {
+      key = String(item.key).toLowerCase();
+      if (takenKeys[key]) {
+        errors.push(where + ': key "' + key + '" is already in the lineup');
+        return;
+      }
+      takenKeys[key] = true;
+    } else {
+      key = suggestChannelKey(name, slug, takenKeys);
+    }
+
+    const entry = { slug: slug, name: name, number: item.number !== undefined ? item.number : nextFreeChannelNumber(usedNumbers) };
+    usedNumbers[entry.number] = true;
+    const provider = item.provider || (tile && channelScan.provider) || DEFAULT_PROVIDER;
+    if (provider !== DEFAULT_PROVIDER) entry.provider = provider;
+    if (tile && tile.logo) entry.logo = tile.logo;
+    source[key] = entry;
+    added.push(key);
+  });
+  if (errors.length > 0) return { errors: errors };
+
+  // Reject anything the lineup loader would, before touching the file
+  try {
+    validateLineup(raw);
+  } catch (e) {
+    return { errors: e.errors || [e.message] };
+  }
+
+  const ext = path.extname(lineupPath).toLowerCase();
+  let text;
+  if (ext === '.yaml' || ext === '.yml') {
+    // Edit the parsed document so comments and layout survive
+    const doc = require('yaml').parseDocument(original);
+    added.forEach(function (key) {
+      doc.setIn(nested ? ['channels', key] : [key], doc.createNode(source[key]));
+    });
+    text = doc.toString();
+  } else {
+    text = JSON.stringify(raw, null, 2) + '\n';
+  }
+  fs.writeFileSync(lineupPath, text);
+  console.log('[Scan] Added to ' + lineupPath + ': ' + added.join(', '));
+  reloadLineup();
+  return { added: added };
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Page Rules ----------------
+// rules.json (or rules.yaml) in dataDir cleans up the captured picture while
+// a channel plays: CSS to inject, selectors to hide and buttons to click
+// ("Are you still watching?", cookie banners). Global rules apply to every
+// channel and channels.<key> adds to them. The file is reloaded on change and
+// running sessions pick the new rules up on their next pass.
+const RULES_FILE_NAMES = ['rules.json', 'rules.yaml', 'rules.yml'];
+const RULES_POLL_MS = 2000;
+const RULES_CLICK_COOLDOWN_MS = 10000;
+
+const DEFAULT_RULES = {
+  global: {
+    css: '*{cursor:none!important}',
+    hide: [],
+    click: [
+      { name: 'still watching', selector: 'button, [role="button"]', text: '^\\s*(yes|continue watching|i\'m still (here|watching))\\s*$', dialog: 'still (watching|there|here)' },
+      { name: 'cookie banner', selector: 'button', text: '^\\s*(accept|accept all|got it)\\s*$' },
+      { name: 'skip intro', selector: 'button, [role="button"]', text: 'skip intro' },
+    ],
+  },
+  channels: {},
+};
+
+let pageRules = { global: null, channels: {} };
+let rulesPath = null;
+
+function validateRuleScope(scope, where, errors) {
+  if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+    errors.push(where + ': must be an object with css, hide and/or click');
+    return null;
+  }
+
+  const css = scope.css === undefined ? [] : [].concat(scope.css);
+  if (css.some(function (c) { return typeof c !== 'string'; })) errors.push(where + '.css: must be a string or a list of strings');
+
+  const hide = scope.hide === undefined ? [] : scope.hide;
+  if (!Array.isArray(hide) || hide.some(function (s) { return typeof s !== 'string' || !s.trim(); })) {
+    errors.push(where + '.hide: must be a list of CSS selectors');
+  }
+
+  const click = [];
+  if (scope.click !== undefined && !Array.isArray(scope.click)) {
+    errors.push(where + '.click: must be a list of selectors or { selector, text, name } objects');
+  } else {
+    (scope.click || []).forEach(function (c, i) {
+      const rule = typeof c === 'string' ? { selector: c } : c;
+      if (!rule || typeof rule !== 'object' || (!rule.selector && !rule.text)) {
+        errors.push(where + '.click[' + i + ']: needs a selector, a text pattern or both');
+        return;
+      }
+      if (rule.text !== undefined) {
+        try {
+          new RegExp(rule.text, 'i');
+        } catch (e) {
+          errors.push(where + '.click[' + i + ']: bad text pattern: ' + e.message);
+          return;
+        }
+      }
+      if (rule.dialog !== undefined) {
+        try {
+          new RegExp(rule.dialog, 'i');
+        } catch (e) {
+          errors.push(where + '.click[' + i + ']: bad dialog pattern: ' + e.message);
+          return;
+        }
+      }
+      click.push({
+        name: rule.name || [rule.selector, rule.text && '/' + rule.text + '/'].filter(Boolean).join(' '),
+        selector: rule.selector || 'button, a, [role="button"]',
+        text: rule.text || null,
+        dialog: rule.dialog || null,
+      });
+    });
+  }
+
+  return { css: css.join('\n'), hide: Array.isArray(hide) ? hide : [], click: click };
+}
+
+function validateRules(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid page rules: expected an object with global and/or channels');
+  }
+
+  const errors = [];
+  const rules = { global: null, channels: {} };
+  if (raw.global !== undefined) rules.global = validateRuleScope(raw.global, 'global', errors);
+  if (raw.channels !== undefined) {
+    if (!raw.channels || typeof raw.channels !== 'object' || Array.isArray(raw.channels)) {
+      errors.push('channels: must be an object keyed by channel');
+    } else {
+      Object.keys(raw.channels).forEach(function (key) {
+        rules.channels[key.toLowerCase()] = validateRuleScope(raw.channels[key], 'channels.' + key, errors);
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const err = new Error('Invalid page rules:\n  ' + errors.join('\n  '));
+    err.errors = errors;
+    throw err;
+  }
+  return rules;
+}
+
+function readRules(filePath) {
+  let raw;
+  try {
+    raw = parseConfigFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error('Failed to parse ' + filePath + ': ' + e.message);
+  }
+  return validateRules(raw);
+}
+
+function loadPageRules() {
+  rulesPath = path.join(dataDir, RULES_FILE_NAMES[0]);
+  for (const name of RULES_FILE_NAMES) {
+    const p = path.join(dataDir, name);
+    if (fs.existsSync(p)) {
+      rulesPath = p;
+      break;
+    }
+  }
+
+  if (!fs.existsSync(rulesPath)) {
+    fs.writeFileSync(rulesPath, JSON.stringify(DEFAULT_RULES, null, 2) + '\n');
+    console.log('[Rules] Wrote default rules to', rulesPath);
+  }
+
+  pageRules = readRules(rulesPath);
+  console.log('[Rules] Loaded', rulesPath, '(channel rules: ' + (Object.keys(pageRules.channels).join(', ') || 'none') + ')');
+
+  fs.watchFile(rulesPath, { interval: LINEUP_POLL_MS }, function (curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.nlink === 0) {
+      console.warn('[Rules] ' + rulesPath + ' was removed, keeping current rules');
+      return;
+    }
+    try {
+      pageRules = readRules(rulesPath);
+      console.log('[Rules] Reloaded', rulesPath);
+    } catch (e) {
+      console.error('[Rules] Keeping previous rules, reload failed:', e.message);
+    }
+  });
+}
+
+function rulesForChannel(key) {
+  const scopes = [pageRules.global, pageRules.channels[key]].filter(Boolean);
+  return {
+    css: scopes.map(function (s) { return s.css; }).filter(Boolean).join('\n'),
+    hide: [].concat.apply([], scopes.map(function (s) { return s.hide; })),
+    click: [].concat.apply([], scopes.map(function (s) { return s.click; })),
+  };
+}
+
+// One pass over the page. Returns what fired: { kind, rule, detail }, where
+// kind is css, hide, click or error (a selector the page rejected).
+async function applyPageRules(page, rules) {
+  return await page.evaluate(function (r) {
+    const fired = [];
+    const query = function (selector) {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch (e) {
+        fired.push({ kind: 'error', rule: selector, detail: 'invalid selector' });
+        return [];
+      }
+    };
+
+    // Navigation drops the style element, so it is put back whenever missing
+    let style = document.getElementById('cc4c-rules-css');
+    if (r.css && (!style || style.textContent !== r.css)) {
+      if (!style) {
+        style = document.createElement('style');
+        style.id = 'cc4c-rules-css';
+        (document.head || document.documentElement).appendChild(style);
+      }
+      style.textContent = r.css;
+      fired.push({ kind: 'css', rule: 'css', detail: r.css.length + ' chars' });
+    } else if (!r.css && style) {
+      style.remove();
+    }
+
+    r.hide.forEach(function (selector) {
+      let count = 0;
+      query(selector).forEach(function (el) {
+        if (el.dataset.cc4cHidden) return;
+        el.style.setProperty('display', 'none', 'important');
+        el.dataset.cc4cHidden = '1';
+        count++;
+      });
+      if (count > 0) fired.push({ kind: 'hide', rule: selector, detail: count + ' element(s)' });
+    });
+
+    r.click.forEach(function (rule) {
+      const pattern = rule.text ? new RegExp(rule.text, 'i') : null;
+      const dialogPattern = rule.dialog ? new RegExp(rule.dialog, 'i') : null;
+      const el = query(rule.selector).find(function (candidate) {
+        const rect = candidate.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return false;
+        if (pattern && !pattern.test(candidate.innerText || candidate.textContent || '')) return false;
+        if (!dialogPattern) return true;
+        const dialog = candidate.closest('dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]');
+        return !!dialog && dialogPattern.test(dialog.innerText || dialog.textContent || '');
+      });
+      if (!el) return;
+      el.click();
+      fired.push({ kind: 'click', rule: rule.name, detail: (el.innerText || el.textContent || '').trim().split('\n')[0].slice(0, 60) });
+    });
+
+    return fired;
+  }, rules);
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Automation Recipes ----------------
+// recipes.json (or recipes.yaml) in dataDir holds named step lists that
+// /stream?url=...&recipe=<name> runs after opening the page, for sites that
+// need a play button clicked or a dialog dismissed before there is anything
+// to capture. Hosts in --recipeHosts may also take the steps inline as
+// ?steps=<json list>. Each step is an object with one action key:
+//
+//   { "waitFor": "<selector>" }                    until it is visible
+//   { "click": "<selector>", "text": "<regex>" }   first visible match
+//   { "type": "<selector>", "text": "...", "enter": true }
+//   { "evaluate": "<script>" }                     awaited if it returns a promise
+//   { "fullscreen": true }
+//   { "scale": 0.5 }                               page zoom
+//   { "delay": 2000 }                              milliseconds
+//
+// plus "timeout" (ms, default RECIPE_STEP_TIMEOUT_MS) and "optional" (a
+// failure is logged and the recipe carries on).
+const RECIPES_FILE_NAMES = ['recipes.json', 'recipes.yaml', 'recipes.yml'];
+const RECIPE_STEP_TIMEOUT_MS = 15000;
+const RECIPE_ACTIONS = ['waitFor', 'click', 'type', 'evaluate', 'fullscreen', 'scale', 'delay'];
+
+const DEFAULT_RECIPES = {
+  recipes: {
+    'click-play': {
+      description: 'Press the first play button and fill the tab with the video',
+      steps: [
+        { click: 'button, [role="button"]', text: '^\\s*(play|watch( now| live)?)\\s*$', optional: true },
+        { waitFor: 'video' },
+        { fullscreen: true, optional: true },
+      ],
+    },
+  },
+};
+
+let recipes = {};
+let recipesPath = null;
+
+function validateRecipeSteps(steps, where, errors) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(where + ': must be a non-empty list of steps');
+    return [];
+  }
+
+  const valid = [];
+  steps.forEach(function (raw, i) {
+    const at = where + '[' + i + ']';
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(at + ': must be an object like { "click": "<selector>" }');
+      return;
+    }
+    const actions = RECIPE_ACTIONS.filter(function (a) { return raw[a] !== undefined; });
+    if (actions.length !== 1) {
+      errors.push(at + ': needs exactly one of ' + RECIPE_ACTIONS.join(', ') + (actions.length ? ' (got ' + actions.join(', ') + ')' : ''));
+      return;
+    }
+    const action = actions[0];
+    const value = raw[action];
+    const step = {
+      action: action,
+      value: value,
+      text: raw.text === undefined ? null : raw.text,
+      enter: !!raw.enter,
+      timeout: raw.timeout === undefined ? RECIPE_STEP_TIMEOUT_MS : Number(raw.timeout),
+      optional: !!raw.optional,
+    };
+
+    if (!Number.isFinite(step.timeout) || step.timeout <= 0) errors.push(at + ': timeout must be a positive number of milliseconds');
+    if (['waitFor', 'click', 'type', 'evaluate'].indexOf(action) !== -1 && (typeof value !== 'string' || !value.trim())) {
+      errors.push(at + ': ' + action + ' needs a ' + (action === 'evaluate' ? 'script' : 'CSS selector'));
+    }
+    if (action === 'click' && step.text !== null) {
+      try {
+        new RegExp(step.text, 'i');
+      } catch (e) {
+        errors.push(at + ': bad text pattern: ' + e.message);
+      }
+    }
+    if (action === 'type' && typeof step.text !== 'string') errors.push(at + ': type needs the text to type');
+    if (action === 'scale' && (typeof value !== 'number' || value <= 0 || value > 4)) errors.push(at + ': scale must be a number above 0, up to 4');
+    if (action === 'delay' && (typeof value !== 'number' || value < 0)) errors.push(at + ': delay must be a number of milliseconds');
+    valid.push(step);
+  });
+  return valid;
+}
+
+function validateRecipes(raw) {
+  const source = raw && typeof raw === 'object' && raw.recipes !== undefined ? raw.recipes : raw;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Invalid recipes: expected an object keyed by recipe name');
+  }
+
+  const errors = [];
+  const result = {};
+  Object.keys(source).forEach(function (name) {
+    const entry = source[name];
+    const steps = Array.isArray(entry) ? entry : entry && entry.steps;
+    result[name.toLowerCase()] = {
+      name: name.toLowerCase(),
+      description: entry && entry.description ? String(entry.description) : '',
+      steps: validateRecipeSteps(steps, name, errors),
+    };
+  });
+
+  if (errors.length > 0) {
+    const err = new Error('Invalid recipes:\n  ' + errors.join('\n  '));
+    err.errors = errors;
+    throw err;
+  }
+  return result;
+}
+
+function readRecipes(filePath) {
+  let raw;
+  try {
+    raw = parseConfigFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error('Failed to parse ' + filePath + ': ' + e.message);
+  }
+  return validateRecipes(raw);
+}
+
+function loadRecipes() {
+  recipesPath = path.join(dataDir, RECIPES_FILE_NAMES[0]);
+  for (const name of RECIPES_FILE_NAMES) {
+    const p = path.join(dataDir, name);
+    if (fs.existsSync(p)) {
+      recipesPath = p;
+      break;
+    }
+  }
+
+  if (!fs.existsSync(recipesPath)) {
+    fs.writeFileSync(recipesPath, JSON.stringify(DEFAULT_RECIPES, null, 2) + '\n');
+    console.log('[Recipe] Wrote default recipes to', recipesPath);
+  }
+
+  recipes = readRecipes(recipesPath);
+  console.log('[Recipe] Loaded', recipesPath, '(' + (Object.keys(recipes).join(', ') || 'none') + ')');
+
+  fs.watchFile(recipesPath, { interval: LINEUP_POLL_MS }, function (curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.nlink === 0) {
+      console.warn('[Recipe] ' + recipesPath + ' was removed, keeping current recipes');
+      return;
+    }
+    try {
+      recipes = readRecipes(recipesPath);
+      console.log('[Recipe] Reloaded', recipesPath);
+    } catch (e) {
+      console.error('[Recipe] Keeping previous recipes, reload failed:', e.message);
+    }
+  });
+}
+
+function describeRecipeStep(step) {
+  if (step.action === 'fullscreen') return 'fullscreen';
+  if (step.action === 'evaluate') return 'evaluate (' + step.value.length + ' chars)';
+  return step.action + ' ' + (typeof step.value === 'string' ? JSON.stringify(step.value) : step.value) +
+    (step.action === 'click' && step.text !== null ? ' /' + step.text + '/' : '');
+}
+
+async function runRecipeStep(page, step) {
+  switch (step.action) {
+    case 'waitFor':
+      await page.waitForSelector(step.value, { visible: true, timeout: step.timeout });
+      return;
+    case 'click': {
+      const handle = await page.waitForFunction(function (selector, text) {
+        const pattern = text === null ? null : new RegExp(text, 'i');
+        return Array.from(document.querySelectorAll(selector)).find(function (el) {
+          const rect = el.getBoundingClientRect();
+          if (rect.width === 0 || rect.height === 0) return false;
+          return !pattern || pattern.test(el.innerText || el.textContent || '');
+        });
+      }, { timeout: step.timeout }, step.value, step.text);
+      await handle.asElement().click();
+      return;
+    }
+    case 'type':
+      await page.waitForSelector(step.value, { visible: true, timeout: step.timeout });
+      await page.type(step.value, step.text);
+      if (step.enter) await page.keyboard.press('Enter');
+      return;
+    case 'evaluate': {
+      let timer = null;
+      const timeout = new Promise(function (resolve, reject) {
+        timer = setTimeout(function () { reject(new Error('timed out after ' + step.timeout + 'ms')); }, step.timeout);
+      });
+      try {
+        await Promise.race([page.evaluate(step.value), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+      return;
+    }
+    case 'fullscreen':
+      if (!(await runKayoFullscreenToggle(page)) || !(await verifyFullscreen(page))) throw new Error('page did not go fullscreen');
+      return;
+    case 'scale':
+      await setChromeViewScale(page, step.value);
+      return;
+    case 'delay':
+      await delay(step.value);
+      return;
+  }
+}
+
+// Runs the steps in order and resolves with one { step, action, ms, ok,
+// error } per step that ran. A failing step that isn't optional rejects with
+// the same list as err.steps.
+async function runRecipe(page, name, steps) {
+  const report = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const what = describeRecipeStep(step);
+    const started = Date.now();
+    try {
+      await runRecipeStep(page, step);
+      report.push({ step: i + 1, action: what, ms: Date.now() - started, ok: true, error: null });
+      console.log('[Recipe] ' + name + ' step ' + (i + 1) + '/' + steps.length + ' ' + what + ': ok in ' + (Date.now() - started) + 'ms');
+    } catch (e) {
+      const message = (e && e.message || String(e)).split('\n')[0];
+      report.push({ step: i + 1, action: what, ms: Date.now() - started, ok: false, error: message });
+      console.warn('[Recipe] ' + name + ' step ' + (i + 1) + '/' + steps.length + ' ' + what + ': ' +
+        (step.optional ? 'skipped' : 'failed') + ' after ' + (Date.now() - started) + 'ms: ' + message);
+      if (step.optional) continue;
+      const err = new Error('recipe ' + name + ' failed at step ' + (i + 1) + ' (' + what + '): ' + message);
+      err.steps = report;
+      throw err;
+    }
+  }
+  return report;
+}
+
+function formatRecipeReport(report) {
+  return report.map(function (r) {
+    return '  ' + r.step + '. ' + r.action + ': ' + (r.ok ? 'ok' : 'FAILED') + ' in ' + r.ms + 'ms' + (r.error ? ' (' + r.error + ')' : '');
+  }).join('\n');
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Transcoding Profiles ----------------
+// profiles.json (or profiles.yaml) in dataDir names the FFmpeg encodes a
+// request can ask for with ?profile=<name> or /stream/<channel>/<name>. copy
+// is built in and stays the default: Chrome's H.264 passed through.
+const PROFILES_FILE_NAMES = ['profiles.json', 'profiles.yaml', 'profiles.yml'];
+const DEFAULT_PROFILE = 'copy';
+const BITRATE_PATTERN = /^\d+(\.\d+)?[km]?$/i;
+
+// '160k' -> 160000, the way FFmpeg reads a BITRATE_PATTERN value
+function bitrateValue(value) {
+  const text = String(value).toLowerCase();
+  const scale = text.endsWith('m') ? 1e6 : text.endsWith('k') ? 1e3 : 1;
+  return Math.round(parseFloat(text) * scale);
+}
+
+const DEFAULT_PROFILES = {
+  profiles: {
+    '720p': {
+      description: '720p H.264 for TVs that choke on the full capture',
+      width: 1280,
+      height: 720,
+      videoCodec: 'libx264',
+      preset: 'veryfast',
+      videoBitrate: '4M',
+      gop: 50,
+      audioCodec: 'aac',
+      audioBitrate: '160k',
+      audioChannels: 2,
+    },
+    remote: {
+      description: 'Low bitrate for watching away from home',
+      width: 854,
+      height: 480,
+      videoCodec: 'libx264',
+      preset: 'veryfast',
+      videoBitrate: '1200k',
+      gop: 100,
+      audioCodec: 'aac',
+      audioBitrate: '96k',
+      audioChannels: 2,
+    },
+    hevc: {
+      description: 'H.265 at full size',
+      videoCodec: 'libx265',
+      preset: 'veryfast',
+      videoBitrate: '4M',
+      gop: 100,
+      audioCodec: 'aac',
+      audioBitrate: '128k',
+      audioChannels: 2,
+    },
+  },
+};
+
+let transcodeProfiles = { copy: { name: 'copy', description: 'Pass the captured H.264 through (default)' } };
+let profilesPath = null;
+
+function validateProfiles(raw) {
+  const source = raw && typeof raw === 'object' && raw.profiles !== undefined ? raw.profiles : raw;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Invalid transcoding profiles: expected an object keyed by profile name');
+  }
+
+  const errors = [];
+  const profiles = { copy: transcodeProfiles.copy };
+  Object.keys(source).forEach(function (rawName) {
+    const name = rawName.toLowerCase();
+    const p = source[rawName];
+    const where = 'profile "' + rawName + '"';
+
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+      errors.push(where + ': name may only contain letters, digits, "-" and "_"');
+      return;
+    }
+    if (name === DEFAULT_PROFILE) {
+      errors.push(where + ': copy is built in and cannot be redefined');
+      return;
+    }
+    if (!p || typeof p !== 'object' || Array.isArray(p)) {
+      errors.push(where + ': must be an object');
+      return;
+    }
+    ['width', 'height', 'gop', 'audioChannels'].forEach(function (key) {
+      if (p[key] !== undefined && !(Number.isInteger(p[key]) && p[key] > 0)) errors.push(where + ': ' + key + ' must be a positive whole number');
+    });
+    ['videoBitrate', 'audioBitrate'].forEach(function (key) {
+      if (p[key] !== undefined && !BITRATE_PATTERN.test(String(p[key]))) errors.push(where + ': ' + key + ' must look like 3000000, 3000k or 3M');
+    });
+    ['videoCodec', 'audioCodec', 'preset', 'description'].forEach(function (key) {
+      if (p[key] !== undefined && typeof p[key] !== 'string') errors.push(where + ': ' + key + ' must be a string');
+    });
+
+    profiles[name] = Object.assign({}, p, {
+      name: name,
+      videoCodec: p.videoCodec || 'libx264',
+      audioCodec: p.audioCodec || 'aac',
+    });
+  });
+
+  if (errors.length > 0) {
+    const err = new Error('Invalid transcoding profiles:\n  ' + errors.join('\n  '));
+    err.errors = errors;
+    throw err;
+  }
+  return profiles;
+}
+
+function readProfiles(filePath) {
+  let raw;
+  try {
+    raw = parseConfigFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error('Failed to parse ' + filePath + ': ' + e.message);
+  }
+  return validateProfiles(raw);
+}
+
+// Changes apply to the next request for a profile; encodes already running
+// keep the arguments they started with.
+function loadProfiles() {
+  profilesPath = path.join(dataDir, PROFILES_FILE_NAMES[0]);
+  for (const name of PROFILES_FILE_NAMES) {
+    const p = path.join(dataDir, name);
+    if (fs.existsSync(p)) {
+      profilesPath = p;
+      break;
+    }
+  }
+
+  if (!fs.existsSync(profilesPath)) {
+    fs.writeFileSync(profilesPath, JSON.stringify(DEFAULT_PROFILES, null, 2) + '\n');
+    console.log('[Profiles] Wrote default profiles to', profilesPath);
+  }
+
+  transcodeProfiles = readProfiles(profilesPath);
+  console.log('[Profiles] Loaded', profilesPath + ':', Object.keys(transcodeProfiles).join(', '));
+
+  fs.watchFile(profilesPath, { interval: LINEUP_POLL_MS }, function (curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.nlink === 0) {
+      console.warn('[Profiles] ' + profilesPath + ' was removed, keeping current profiles');
+      return;
+    }
+    try {
+      transcodeProfiles = readProfiles(profilesPath);
+      console.log('[Profiles] Reloaded', profilesPath + ':', Object.keys(transcodeProfiles).join(', '));
+    } catch (e) {
+      console.error('[Profiles] Keeping previous profiles, reload failed:', e.message);
+    }
+  });
+}
+
+// Profiles with the exact FFmpeg command each one runs, for the status page
+function describeProfiles() {
+  return Object.keys(transcodeProfiles).map(function (name) {
+    const profile = transcodeProfiles[name];
+    return {
+      name: name,
+      description: profile.description || '',
+      // Encodes are fed from the channel's MPEG-TS capture unless the output is WebM
+      command: 'ffmpeg ' + transcoderArgs(encodingParams.audioBitsPerSecond, null, profile, argv.outputFormat !== 'webm').join(' '),
+    };
+  });
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Settings ----------------
+// settings.json in dataDir overrides the command line. Values are applied onto
+// argv so the rest of the code keeps reading argv; settings marked 'restart'
+// are saved right away but only applied on the next launch.
+const SETTINGS_FILE_NAME = 'settings.json';
+
+const SETTINGS_SCHEMA = {
+  videoBitrate: { label: 'Video bitrate (bps)', type: 'number', min: 500000, max: 50000000, applies: 'next stream' },
+  audioBitrate: { label: 'Audio bitrate (bps)', type: 'number', min: 32000, max: 512000, applies: 'next stream' },
+  frameRate: { label: 'Minimum frame rate', type: 'number', min: 10, max: 60, applies: 'next stream' },
+  width: { label: 'Video width (px)', type: 'number', min: 320, max: 3840, applies: 'restart' },
+  height: { label: 'Video height (px)', type: 'number', min: 240, max: 2160, applies: 'restart' },
+  minimizeWindow: { label: 'Minimize window while streaming', type: 'boolean', applies: 'next stream' },
+  outputFormat: { label: 'Output format', type: 'string', choices: ['webm', 'mpegts', 'hls'], applies: 'next stream' },
+  tuners: { label: 'Tuners (max concurrent streams)', type: 'number', min: 1, max: 8, applies: 'next stream' },
+  tuningSlate: { label: 'Show tuning/error slates (MPEG-TS)', type: 'boolean', applies: 'next stream' },
+  zapHoldSeconds: { label: 'Hold released sessions for channel switches (seconds, 0 = off)', type: 'number', min: 0, max: 300, applies: 'next stream' },
+  warmPool: { label: 'Warm tabs (pre-loaded tuners)', type: 'number', min: 0, max: 8, applies: 'next stream' },
+  warmPoolIdleMinutes: { label: 'Close warm tabs after idle (minutes, 0 = never)', type: 'number', min: 0, max: 1440, applies: 'next stream' },
+  warmPoolRefreshMinutes: { label: 'Reload warm tabs every (minutes, 0 = never)', type: 'number', min: 0, max: 1440, applies: 'next stream' },
+  port: { label: 'HTTP port', type: 'number', min: 1, max: 65535, applies: 'restart' },
+};
+
+let settingsPath = null;
+let settingsOverrides = {};
+// What the command line said, and what was in effect when we started
+const cliValues = {};
+const startupValues = {};
+
+function validateSetting(key, value) {
+  const def = SETTINGS_SCHEMA[key];
+  if (!def) return { error: 'unknown setting' };
+
+  if (def.type === 'number') {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isInteger(n)) return { error: 'must be a whole number' };
+    if (n < def.min || n > def.max) return { error: 'must be between ' + def.min + ' and ' + def.max };
+    return { value: n };
+  }
+  if (def.type === 'boolean') {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  }
+  if (def.choices.indexOf(value) === -1) return { error: 'must be one of ' + def.choices.join(', ') };
+  return { value: value };
+}
+
+// Keeps the derived capture settings in step with argv
+function refreshEncodingParams() {
+  encodingParams.videoBitsPerSecond = argv.videoBitrate;
+  encodingParams.audioBitsPerSecond = argv.audioBitrate;
+  encodingParams.minFrameRate = argv.frameRate;
+  encodingParams.maxFrameRate = Math.max(50, argv.frameRate);
+  viewport.width = argv.width;
+  viewport.height = argv.height;
+}
+
+function loadSettings() {
+  Object.keys(SETTINGS_SCHEMA).forEach(function (key) {
+    cliValues[key] = argv[key];
+  });
+
+  settingsPath = path.join(dataDir, SETTINGS_FILE_NAME);
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('[Settings] Ignoring unreadable', settingsPath + ':', e.message);
+  }
+
+  Object.keys(raw || {}).forEach(function (key) {
+    const result = validateSetting(key, raw[key]);
+    if (result.error) {
+      console.error('[Settings] Ignoring ' + key + ' from ' + settingsPath + ': ' + result.error);
+      return;
+    }
+    settingsOverrides[key] = result.value;
+    argv[key] = result.value;
+    console.log('[Settings] ' + key + ' = ' + result.value + ' (from ' + SETTINGS_FILE_NAME + ')');
+  });
+
+  Object.keys(SETTINGS_SCHEMA).forEach(function (key) {
+    startupValues[key] = argv[key];
+  });
+  refreshEncodingParams();
+}
+
+// Validates every change before applying any. A null value drops the
+// override and goes back to the command line value.
+function updateSettings(changes) {
+  const errors = [];
+  const next = Object.assign({}, settingsOverrides);
+
+  Object.keys(changes || {}).forEach(function (key) {
+    if (changes[key] === null) {
+      delete next[key];
+      return;
+    }
+    const result = validateSetting(key, changes[key]);
+    if (result.error) errors.push(key + ': ' + result.error);
+    else next[key] = result.value;
+  });
+  if (errors.length) return { errors: errors };
+
+  fs.writeFileSync(settingsPath + '.tmp', JSON.stringify(next, null, 2) + '\n');
+  fs.renameSync(settingsPath + '.tmp', settingsPath);
+  settingsOverrides = next;
+
+  Object.keys(SETTINGS_SCHEMA).forEach(function (key) {
+    if (SETTINGS_SCHEMA[key].applies !== 'next stream') return;
+    const value = key in next ? next[key] : cliValues[key];
+    if (argv[key] !== value) console.log('[Settings] ' + key + ': ' + argv[key] + ' -> ' + value);
+    argv[key] = value;
+  });
+  refreshEncodingParams();
+
+  // More tuners may free up slots for streams already queueing
+  for (let i = activeStreams; i < argv.tuners && waiters.length > 0; i++) notifyStreamSlot();
+
+  return { settings: describeSettings() };
+}
+
+function describeSettings() {
+  return Object.keys(SETTINGS_SCHEMA).map(function (key) {
+    const def = SETTINGS_SCHEMA[key];
+    const saved = key in settingsOverrides ? settingsOverrides[key] : cliValues[key];
+    return {
+      key: key,
+      label: def.label,
+      type: def.type,
+      min: def.min,
+      max: def.max,
+      choices: def.choices,
+      applies: def.applies,
+      value: saved,
+      default: cliValues[key],
+      overridden: key in settingsOverrides,
+      restartPending: def.applies === 'restart' && saved !== startupValues[key],
+    };
+  });
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Access Control ----------------
+// Every request falls into one of three groups. HDHomeRun discovery stays
+// open because tuner clients can't send credentials, so nothing in it may
+// carry the stream token. Streams, and the lineup, playlists and guide that
+// link to them, need --streamToken when it is set. Everything else is
+// management and needs --adminPassword or --apiKey when either is set
+// (/lineup.post too: a scan opens a tab). --allowIps covers all three,
+// --adminAllowIps management only.
+const HDHR_DISCOVERY_PATHS = ['/discover.json', '/device.xml', '/lineup_status.json', '/status.json'];
+const STREAM_PATHS = ['/playlist.m3u', '/epg.xml', '/lineup.json'];
+
+let allowIps = null;
+let adminAllowIps = null;
+let urlStreamHosts = [];
+let recipeHosts = [];
+
+// A BlockList of the comma-separated addresses and CIDR ranges, or null for
+// no restriction
+function parseIpList(value, option) {
+  if (!value) return null;
+  const list = new net.BlockList();
+  String(value).split(',').map(function (s) { return s.trim(); }).filter(Boolean).forEach(function (entry) {
+    const parts = entry.split('/');
+    const type = net.isIPv6(parts[0]) ? 'ipv6' : 'ipv4';
+    const prefix = parts.length === 2 ? Number(parts[1]) : null;
+    if (!net.isIP(parts[0]) || parts.length > 2 ||
+        (prefix !== null && !(Number.isInteger(prefix) && prefix >= 0 && prefix <= (type === 'ipv6' ? 128 : 32)))) {
+      throw new Error('--' + option + ': "' + entry + '" is not an IP address or CIDR range');
+    }
+    if (prefix === null) list.addAddress(parts[0], type);
+    else list.addSubnet(parts[0], prefix, type);
+  });
+  return list;
+}
+
+function ipAllowed(list, req) {
+  if (!list) return true;
+  const address = clientAddress(req);
+  try {
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  } catch (e) {
+    return false;
+  }
+}
+
+function routeAccess(reqPath) {
+  if (reqPath.indexOf(SYNTHETIC_PATH) === 0) return 'synthetic';
+  if (HDHR_DISCOVERY_PATHS.indexOf(reqPath) !== -1) return 'discovery';
+  if (STREAM_PATHS.indexOf(reqPath) !== -1 || reqPath === '/stream' ||
+      reqPath.indexOf('/stream/') === 0 || reqPath.indexOf('/hls/') === 0 ||
+      reqPath.indexOf('/logos/') === 0) return 'stream';
+  return 'admin';
+}
+
+// Constant-time comparison that doesn't leak the secret's length either
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// X-Api-Key header or Authorization: Bearer
+function requestKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+  const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return m ? m[1].trim() : null;
+}
+
+function basicCredentials(req) {
+  const m = /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  if (colon === -1) return null;
+  return { user: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+function adminProtected() {
+  return !!(argv.adminPassword || argv.apiKey);
+}
+
+function isAdmin(req) {
+  if (!adminProtected()) return true;
+  const key = requestKey(req);
+  if (argv.apiKey && key && safeEqual(key, argv.apiKey)) return true;
+  const basic = basicCredentials(req);
+  return !!(argv.adminPassword && basic &&
+    safeEqual(basic.user, argv.adminUser) && safeEqual(basic.password, argv.adminPassword));
+}
+
+function hasStreamAccess(req) {
+  if (!argv.streamToken) return true;
+  const token = req.query.token ? String(req.query.token) : requestKey(req);
+  if (token && safeEqual(token, argv.streamToken)) return true;
+  // Management credentials work too, so the links on the web pages play
+  return adminProtected() && isAdmin(req);
+}
+
+// Express middleware, mounted before every route on both listeners
+function accessControl(req, res, next) {
+  const kind = routeAccess(req.path);
+  // Our own Chrome loads the synthetic test pages, with no credentials and
+  // whatever the allowlists say; they are static and reveal nothing
+  if (kind === 'synthetic') return next();
+  if (!ipAllowed(allowIps, req) || (kind === 'admin' && !ipAllowed(adminAllowIps, req))) {
+    incCounter('cc4c_access_denied_total', { reason: 'address' });
+    res.status(403).send('Forbidden');
+    return;
+  }
+  if (kind === 'stream' && !hasStreamAccess(req)) {
+    incCounter('cc4c_access_denied_total', { reason: 'stream token' });
+    res.status(401).send('Missing or wrong stream token');
+    return;
+  }
+  if (kind === 'admin' && !isAdmin(req)) {
+    incCounter('cc4c_access_denied_total', { reason: 'admin' });
+    if (argv.adminPassword) res.setHeader('WWW-Authenticate', 'Basic realm="Chrome Capture", charset="UTF-8"');
+    res.status(401).send('Authentication required');
+    return;
+  }
+  next();
+}
+
+// Adds ?token= to a stream URL handed to a client, when one is required
+function withStreamToken(url) {
+  if (!argv.streamToken) return url;
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + 'token=' + encodeURIComponent(argv.streamToken);
+}
+
+// Keeps stream tokens out of the request log
+function redactToken(url) {
+  return String(url).replace(/([?&]token=)[^&]*/g, '$1***');
+}
+
+// Why /stream?url= may not open u, or null if it may
+function urlStreamBlocker(u) {
+  if (!argv.urlStreams) return '/stream?url= is turned off (--urlStreams)';
+  if (urlStreamHosts.length === 0) return null;
+  let parsed;
+  try {
+    parsed = new URL(u);
+  } catch (e) {
+    return 'not a valid URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'only http and https URLs can be opened';
+  return hostListed(parsed.hostname, urlStreamHosts) ? null : parsed.hostname.toLowerCase() + ' is not in --urlStreamHosts';
+}
+
+function hostListed(hostname, list) {
+  const host = hostname.toLowerCase();
+  return list.some(function (h) { return host === h || host.endsWith('.' + h); });
+}
+
+function parseHostList(value) {
+  return String(value || '').split(',').map(function (h) { return h.trim().toLowerCase(); }).filter(Boolean);
+}
+
+// Why u may not run inline ?steps=, or null if it may. Steps can evaluate
+// script in the logged-in browser, so only hosts named in --recipeHosts can.
+function inlineStepsBlocker(u) {
+  if (recipeHosts.length === 0) return 'inline steps are turned off (--recipeHosts)';
+  let parsed;
+  try {
+    parsed = new URL(u);
+  } catch (e) {
+    return 'not a valid URL';
+  }
+  return hostListed(parsed.hostname, recipeHosts) ? null : parsed.hostname.toLowerCase() + ' is not in --recipeHosts';
+}
+
+function loadAccessControl() {
+  allowIps = parseIpList(argv.allowIps, 'allowIps');
+  adminAllowIps = parseIpList(argv.adminAllowIps, 'adminAllowIps');
+  urlStreamHosts = parseHostList(argv.urlStreamHosts);
+  recipeHosts = parseHostList(argv.recipeHosts);
+
+  const adminVia = [argv.adminPassword ? 'password' : null, argv.apiKey ? 'api key' : null].filter(Boolean);
+  console.log('[Access] Management: ' + (adminVia.length ? adminVia.join(' or ') : 'open') +
+    (argv.adminAllowIps ? ', from ' + argv.adminAllowIps : ''));
+  console.log('[Access] Streams: ' + (argv.streamToken ? 'token required' : 'open') +
+    (argv.allowIps ? ', everything from ' + argv.allowIps + ' only' : ''));
+  console.log('[Access] /stream?url=: ' + (!argv.urlStreams ? 'off' : (urlStreamHosts.length ? urlStreamHosts.join(', ') : 'any host')) +
+    (recipeHosts.length ? ', inline steps on ' + recipeHosts.join(', ') : ''));
+}
+// ----------------------------------------------------------------------
+
+// ---------------- Guide (XMLTV) ----------------
+// /epg.xml is built from a cache in dataDir that is refreshed from a list of
+// pluggable sources. A source is { name, fetch(channels, tabs) } resolving to
+// an array of programmes: { channel, start, stop, title, desc, category, icon }
+// where channel is the lineup key and start/stop are epoch milliseconds. tabs
+// is { acquirePage, releasePage } for sources that need the browser. Sources
+// are merged in order, earlier ones win where programmes overlap.
+const GUIDE_CACHE_FILE = 'guide-cache.json';
+const GUIDE_IMPORT_FILES = ['guide.xml', 'guide.json'];
+const GUIDE_KEEP_PAST_MS = 6 * 60 * 60 * 1000;
+const GUIDE_PLACEHOLDER_HOURS = 24;
+const GUIDE_PLACEHOLDER_BLOCK_MS = 2 * 60 * 60 * 1000;
+const GUIDE_BUSY_RETRY_MS = 15 * 60 * 1000;
+
+let guideCache = { updatedAt: 0, programmes: [] };
+let guideRefreshing = null;
+// { acquirePage, releasePage } from main, so guide tabs are counted with the
+// streaming ones
+let guideTabs = null;
+
+function xmlEscape(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function xmlUnescape(value) {
+  return String(value || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, function (m, n) { return String.fromCharCode(Number(n)); })
+    .replace(/&amp;/g, '&');
+}
+
+function formatXmltvDate(ms) {
+  const d = new Date(ms);
+  const pad = function (n) { return String(n).padStart(2, '0'); };
+  return d.getUTCFullYear() + pad(d.getUTCMonth() + 1) + pad(d.getUTCDate()) +
+    pad(d.getUTCHours()) + pad(d.getUTCMinutes()) + pad(d.getUTCSeconds()) + ' +0000';
+}
+
+function parseXmltvDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-])?(\d{2})?(\d{2})?/.exec(String(value || '').trim());
+  if (!m) return NaN;
+  let ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  if (m[7]) {
+    const offset = (+m[8] * 60 + +(m[9] || 0)) * 60000;
+    ms -= m[7] === '-' ? -offset : offset;
+  }
+  return ms;
+}
+
+function guideChannelId(channelKey) {
+  return 'kayo-' + channelKey;
+}
+
+// Maps the ids other grabbers use onto lineup keys: "kayo-<key>", the key
+// itself, the channel number, or an explicit guideId on the lineup entry.
+function buildGuideIdMap(channels) {
+  const map = {};
+  Object.keys(channels).forEach(function (key) {
+    const ch = channels[key];
+    map[guideChannelId(key)] = key;
+    map[key] = key;
+    map[String(ch.number)] = key;
+    if (ch.guideId) map[String(ch.guideId).toLowerCase()] = key;
+  });
+  return map;
+}
+
+function normalizeProgramme(p, source) {
+  const start = typeof p.start === 'number' ? p.start : Date.parse(p.start);
+  const stop = typeof p.stop === 'number' ? p.stop : Date.parse(p.stop);
+  if (!p.channel || !p.title || !isFinite(start) || !isFinite(stop) || stop <= start) return null;
+  return {
+    channel: p.channel,
+    start: start,
+    stop: stop,
+    title: String(p.title),
+    desc: p.desc ? String(p.desc) : undefined,
+    category: p.category ? String(p.category) : undefined,
+    icon: p.icon ? String(p.icon) : undefined,
+    source: source,
+  };
+}
+
+function parseXmltvProgrammes(xml, idMap) {
+  const programmes = [];
+  const re = /<programme\b([^>]*)>([\s\S]*?)<\/programme>/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    const attrs = {};
+    m[1].replace(/([\w-]+)="([^"]*)"/g, function (all, name, value) {
+      attrs[name] = xmlUnescape(value);
+      return all;
+    });
+    const key = idMap[String(attrs.channel || '').toLowerCase()];
+    if (!key) continue;
+
+    const tag = function (name) {
+      const t = new RegExp('<' + name + '\\b[^>]*>([\\s\\S]*?)</' + name + '>').exec(m[2]);
+      return t ? xmlUnescape(t[1]).trim() : undefined;
+    };
+    const icon = /<icon\b[^>]*src="([^"]*)"/.exec(m[2]);
+
+    programmes.push({
+      channel: key,
+      start: parseXmltvDate(attrs.start),
+      stop: parseXmltvDate(attrs.stop),
+      title: tag('title'),
+      desc: tag('desc'),
+      category: tag('category'),
+      icon: icon ? xmlUnescape(icon[1]) : undefined,
+    });
+  }
+  return programmes;
+}
+
+// Imports guide.xml (XMLTV from any grabber) or guide.json (an array of
+// programmes, or { programmes: [...] }) from dataDir.
+const fileGuideSource = {
+  name: 'file',
+  fetch: async function (channels) {
+    const idMap = buildGuideIdMap(channels);
+    const programmes = [];
+
+    for (const name of GUIDE_IMPORT_FILES) {
+      const p = path.join(dataDir, name);
+      let text;
+      try {
+        text = await fs.promises.readFile(p, 'utf8');
+      } catch (e) {
+        continue;
+      }
+
+      if (name.endsWith('.xml')) {
+        programmes.push.apply(programmes, parseXmltvProgrammes(text, idMap));
+      } else {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : (parsed.programmes || []);
+        list.forEach(function (item) {
+          const key = idMap[String(item.channel || '').toLowerCase()];
+          if (key) programmes.push(Object.assign({}, item, { channel: key }));
+        });
+      }
+      console.log('[Guide] Imported', p);
+    }
+
+    return programmes;
+  },
+};
+
+// Reads what the logged-in profile shows on the browse page: each channel
+// tile carries the current title and, when Kayo shows it, a time range.
+// Only Kayo channels are scraped; other providers lay their pages out differently.
+// With every tuner streaming it fails with err.busy rather than open another tab.
+const browserGuideSource = {
+  name: 'browser',
+  fetch: async function (channels, tabs) {
+    const byUrl = {};
+    Object.keys(channels).forEach(function (key) {
+      const ch = channels[key];
+      if (ch.provider !== 'kayo') return;
+      (byUrl[ch.url] = byUrl[ch.url] || []).push({ key: key, slug: ch.slug, name: ch.name });
+    });
+    if (Object.keys(byUrl).length === 0) return [];
+
+    const programmes = [];
+    const now = Date.now();
+    const untimedStop = now + argv.guideRefreshHours * 60 * 60 * 1000;
+
+    for (const url of Object.keys(byUrl)) {
+      if (activeStreams >= argv.tuners) {
+        const err = new Error('every tuner is busy');
+        err.busy = true;
+        throw err;
+      }
+      const page = await tabs.acquirePage();
+      try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await waitForChannelSlugImage(page, byUrl[url][0].slug, 30000);
+        await delay(2000);
+
+        const tiles = await page.evaluate(function (wanted) {
+          return wanted.map(function (w) {
+            const img = Array.from(document.querySelectorAll('img')).find(function (i) {
+              return i.src && i.src.includes(w.slug);
+            });
+            if (!img) return { key: w.key, lines: [] };
+
+            // Climb until the container holds some text, but stop before it
+            // swallows the whole carousel.
+            let el = img.parentElement;
+            let text = '';
+            for (let depth = 0; el && depth < 6; depth++, el = el.parentElement) {
+              const t = (el.innerText || '').trim();
+              if (t.length > 400) break;
+              if (t) text = t;
+            }
+            return { key: w.key, lines: text.split('\n').map(function (l) { return l.trim(); }).filter(Boolean) };
+          });
+        }, byUrl[url]);
+
+        tiles.forEach(function (tile) {
+          const ch = channels[tile.key];
+          const parsed = parseTileSchedule(tile.lines, ch.name, now);
+          if (!parsed) return;
+          programmes.push({
+            channel: tile.key,
+            start: parsed.start || now,
+            stop: parsed.stop || untimedStop,
+            title: parsed.title,
+          });
+        });
+      } finally {
+        await tabs.releasePage(page);
+      }
+    }
+
+    return programmes;
+  },
+};
+
+// Wall clock fields of an instant in timeZone, as a UTC timestamp
+function zonedWallClock(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(time)).forEach(function (p) { parts[p.type] = Number(p.value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// "7:30pm" on reference's day, read as --guideTimezone time (the site's, not
+// the server's, which in a container is usually UTC)
+function parseClockTime(text, reference) {
+  const m = /^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\.?$/i.exec(text.trim());
+  if (!m) return NaN;
+  let hours = Number(m[1]) % 12;
+  if (m[3].toLowerCase() === 'p') hours += 12;
+  const day = new Date(zonedWallClock(reference, argv.guideTimezone));
+  const wanted = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, Number(m[2] || 0));
+  // Take off the zone's offset, then again in case that crossed a DST change
+  let time = wanted - (zonedWallClock(wanted, argv.guideTimezone) - wanted);
+  time += wanted - zonedWallClock(time, argv.guideTimezone);
+  return time;
+}
+
+function parseTileSchedule(lines, channelName, now) {
+  const rangeRe = /(\d{1,2}(?:[:.]\d{2})?\s*[ap]\.?m\.?)\s*[-–]\s*(\d{1,2}(?:[:.]\d{2})?\s*[ap]\.?m\.?)/i;
+  const skip = /^(live|now|next|up next|watch|on now)$/i;
+
+  let start = NaN;
+  let stop = NaN;
+  let title = null;
+
+  lines.forEach(function (line) {
+    const range = rangeRe.exec(line);
+    if (range && !isFinite(start)) {
+      start = parseClockTime(range[1], now);
+      stop = parseClockTime(range[2], now);
+      // Programmes that span midnight, or started yesterday
+      if (isFinite(start) && isFinite(stop) && stop <= start) stop += 24 * 60 * 60 * 1000;
+      if (isFinite(start) && start > now + 12 * 60 * 60 * 1000) {
+        start -= 24 * 60 * 60 * 1000;
+        stop -= 24 * 60 * 60 * 1000;
+      }
+      return;
+    }
+    if (!title && !skip.test(line) && line !== channelName) title = line;
+  });
+
+  if (!title) return null;
+  return {
+    title: title,
+    start: isFinite(start) ? start : null,
+    stop: isFinite(stop) ? stop : null,
+  };
+}
+
+const GUIDE_SOURCES = {
+  file: fileGuideSource,
+  browser: browserGuideSource,
+};
+
+function mergeProgrammes(lists) {
+  const accepted = {};
+  lists.forEach(function (list) {
+    list.forEach(function (p) {
+      const existing = accepted[p.channel] || (accepted[p.channel] = []);
+      const overlaps = existing.some(function (a) { return p.start < a.stop && p.stop > a.start; });
+      if (!overlaps) existing.push(p);
+    });
+  });
+
+  const merged = [];
+  Object.keys(accepted).forEach(function (key) {
+    merged.push.apply(merged, accepted[key]);
+  });
+  return merged.sort(function (a, b) {
+    return a.channel === b.channel ? a.start - b.start : (a.channel < b.channel ? -1 : 1);
+  });
+}
+
+function loadGuideCache() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dataDir, GUIDE_CACHE_FILE), 'utf8'));
+    if (parsed && Array.isArray(parsed.programmes)) {
+      guideCache = { updatedAt: parsed.updatedAt || 0, programmes: parsed.programmes };
+      console.log('[Guide] Loaded', guideCache.programmes.length, 'cached programmes');
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('[Guide] Ignoring unreadable cache:', e.message);
+  }
+}
+
+async function saveGuideCache() {
+  const file = path.join(dataDir, GUIDE_CACHE_FILE);
+  await fs.promises.writeFile(file + '.tmp', JSON.stringify(guideCache));
+  await fs.promises.rename(file + '.tmp', file);
+}
+
+async function runGuideRefresh() {
+  const channels = CHANNELS;
+  const names = String(argv.guideSources || '').split(',').map(function (s) { return s.trim(); }).filter(Boolean);
+  const lists = [];
+  let busy = false;
+
+  for (const name of names) {
+    const source = GUIDE_SOURCES[name];
+    if (!source) {
+      console.warn('[Guide] Unknown source:', name);
+      continue;
+    }
+    try {
+      const raw = await source.fetch(channels, guideTabs);
+      const list = raw.map(function (p) { return normalizeProgramme(p, source.name); }).filter(Boolean);
+      console.log('[Guide] Source', source.name, 'returned', list.length, 'programmes');
+      lists.push(list);
+    } catch (e) {
+      if (e.busy) busy = true;
+      console.error('[Guide] Source', source.name, 'failed:', e.message);
+    }
+  }
+  if (busy) {
+    console.log('[Guide] Trying again in ' + (GUIDE_BUSY_RETRY_MS / 60000) + ' minutes');
+    setTimeout(refreshGuide, GUIDE_BUSY_RETRY_MS).unref();
+  }
+
+  // Keep what earlier refreshes saw so the guide builds up history for
+  // sources that only know what's on right now.
+  const cutoff = Date.now() - GUIDE_KEEP_PAST_MS;
+  lists.push(guideCache.programmes.filter(function (p) { return p.stop > cutoff && channels[p.channel]; }));
+
+  guideCache = { updatedAt: Date.now(), programmes: mergeProgrammes(lists) };
+  await saveGuideCache();
+  console.log('[Guide] Refreshed,', guideCache.programmes.length, 'programmes cached');
+}
+
+function refreshGuide() {
+  if (!guideRefreshing) {
+    guideRefreshing = runGuideRefresh()
+      .catch(function (e) { console.error('[Guide] Refresh failed:', e); })
+      .finally(function () { guideRefreshing = null; });
+  }
+  return guideRefreshing;
+}
+
+function startGuideRefresh(tabs) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: argv.guideTimezone });
+  } catch (e) {
+    throw new Error('Unknown --guideTimezone "' + argv.guideTimezone + '", use an IANA name like Australia/Sydney');
+  }
+  guideTabs = tabs;
+  loadGuideCache();
+
+  const intervalMs = argv.guideRefreshHours * 60 * 60 * 1000;
+  if (!(intervalMs > 0)) return;
+
+  // Give the first streams a head start before opening a tab for the guide
+  const age = Date.now() - guideCache.updatedAt;
+  setTimeout(refreshGuide, age >= intervalMs ? 60000 : intervalMs - age).unref();
+  setInterval(refreshGuide, intervalMs).unref();
+}
+
+// Channels with nothing scheduled get filler blocks so DVRs still list them
+function placeholderProgrammes(channelKey, channel, now) {
+  const start = Math.floor(now / GUIDE_PLACEHOLDER_BLOCK_MS) * GUIDE_PLACEHOLDER_BLOCK_MS;
+  const list = [];
+  for (let t = start; t < now + GUIDE_PLACEHOLDER_HOURS * 60 * 60 * 1000; t += GUIDE_PLACEHOLDER_BLOCK_MS) {
+    list.push({ channel: channelKey, start: t, stop: t + GUIDE_PLACEHOLDER_BLOCK_MS, title: channel.name });
+  }
+  return list;
+}
+
+function buildXmltv(channels, baseUrl) {
+  const now = Date.now();
+  const keys = Object.keys(channels).sort(function (a, b) {
+    return channels[a].number - channels[b].number;
+  });
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n' +
+    '<tv generator-info-name="chrome-capture-for-kayo" source-info-url="' + xmlEscape(baseUrl) + '">\n';
+
+  keys.forEach(function (key) {
+    const ch = channels[key];
+    xml += '  <channel id="' + xmlEscape(guideChannelId(key)) + '">\n' +
+      '    <display-name>' + xmlEscape(ch.name) + '</display-name>\n' +
+      '    <display-name>' + xmlEscape(ch.number) + '</display-name>\n' +
+      '  </channel>\n';
+  });
+
+  keys.forEach(function (key) {
+    let list = guideCache.programmes.filter(function (p) { return p.channel === key; });
+    if (!list.some(function (p) { return p.stop > now; })) {
+      list = list.concat(placeholderProgrammes(key, channels[key], now));
+    }
+
+    list.forEach(function (p) {
+      xml += '  <programme start="' + formatXmltvDate(p.start) + '" stop="' + formatXmltvDate(p.stop) +
+        '" channel="' + xmlEscape(guideChannelId(key)) + '">\n' +
+        '    <title lang="en">' + xmlEscape(p.title) + '</title>\n';
+      if (p.desc) xml += '    <desc lang="en">' + xmlEscape(p.desc) + '</desc>\n';
+      if (p.category) xml += '    <category lang="en">' + xmlEscape(p.category) + '</category>\n';
+      if (p.icon) xml += '    <icon src="' + xmlEscape(p.icon) + '" />\n';
+      xml += '  </programme>\n';
+    });
+  });
+
+  return xml + '</tv>\n';
+}
+// ----------------------------------------------------------------------
+
+// ---------------- M3U Playlist ----------------
+// /playlist.m3u and the copy shown on / both come from buildM3u(). Options:
+//   baseUrl    prepended to every URL; '' leaves them relative
+//   profile    transcoding profile the stream URLs ask for
+//   format     'stream' (/stream, MPEG-TS or WebM) or 'hls'; defaults to
+//              whatever --outputFormat serves
+//   groups     only channels whose group-title is listed
+//   channels   only these channel keys or numbers
+const M3U_FORMATS = ['stream', 'hls'];
+
+// Where playlists point a channel. Profile variants always point at /stream:
+// HLS segments the copy encode. The stream token is included when one is
+// required.
+function playlistStreamPath(channelKey, profileName, format) {
+  if (profileName && profileName !== DEFAULT_PROFILE) return withStreamToken('/stream/' + channelKey + '/' + profileName);
+  if ((format || (argv.outputFormat === 'hls' ? 'hls' : 'stream')) === 'hls') {
+    return withStreamToken('/hls/' + channelKey + '/index.m3u8');
+  }
+  return withStreamToken('/stream/' + channelKey);
+}
+
+// A lineup entry's "group", else the provider it is tuned with
+function channelGroup(ch) {
+  return ch.group || getProvider(ch.provider).label;
+}
+
+// Logos go through /logos so clients get our cached copy of the tile image
+function channelLogoPath(channelKey, ch) {
+  return ch.logo ? withStreamToken('/logos/' + channelKey) : null;
+}
+
+// The logo cache keeps bare bytes, so the type comes from the magic number
+function logoContentType(data) {
+  if (data.slice(0, 4).toString('hex') === '89504e47') return 'image/png';
+  if (data.slice(0, 2).toString('hex') === 'ffd8') return 'image/jpeg';
+  if (data.slice(0, 4).toString() === 'RIFF' && data.slice(8, 12).toString() === 'WEBP') return 'image/webp';
+  return 'application/octet-stream';
+}
+
+// M3U has no quoting, so attribute values just lose their double quotes
+function m3uAttr(value) {
+  return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+function selectPlaylistChannels(channels, groups, only) {
+  const wantGroups = groups && groups.map(function (g) { return g.toLowerCase(); });
+  return Object.keys(channels).filter(function (key) {
+    const ch = channels[key];
+    if (wantGroups && wantGroups.indexOf(channelGroup(ch).toLowerCase()) === -1) return false;
+    if (only && only.indexOf(key) === -1 && only.indexOf(String(ch.number)) === -1) return false;
+    return true;
+  }).sort(function (a, b) {
+    return channels[a].number - channels[b].number;
+  });
+}
+
+function buildM3u(channels, options) {
+  const base = options.baseUrl || '';
+  const epgUrl = base + withStreamToken('/epg.xml');
+  let m3u = '#EXTM3U url-tvg="' + epgUrl + '" x-tvg-url="' + epgUrl + '"\n';
+
+  selectPlaylistChannels(channels, options.groups, options.channels).forEach(function (key) {
+    const ch = channels[key];
+    const logo = channelLogoPath(key, ch);
+    const art = ch.art || (logo && base + logo);
+    const attrs = [
+      ['channel-id', guideChannelId(key)],
+      ['tvg-id', guideChannelId(key)],
+      ['tvg-chno', ch.number],
+      ['tvg-name', ch.name],
+      ['tvg-logo', logo && base + logo],
+      ['group-title', channelGroup(ch)],
+      ['tvc-guide-stationid', ch.stationId],
+      ['tvc-guide-art', art],
+    ].filter(function (a) { return a[1] !== undefined && a[1] !== null && a[1] !== ''; });
+
+    m3u += '\n#EXTINF:-1 ' + attrs.map(function (a) { return a[0] + '="' + m3uAttr(a[1]) + '"'; }).join(' ') +
+      ',' + m3uAttr(ch.name) + '\n' +
+      base + playlistStreamPath(key, options.profile, options.format) + '\n';
+  });
+  return m3u;
+}
+// ----------------------------------------------------------------------
+
+async function main() {
+  dataDir = process.cwd();
+  if (process.platform === 'darwin') {
+    dataDir = path.join(process.env.HOME || process.cwd(), 'Library', 'Application Support', 'ChromeCapture');
+  } else if (process.platform === 'win32') {
+    dataDir = path.join(process.env.USERPROFILE || process.cwd(), 'AppData', 'Local', 'ChromeCapture');
+  }
+
+  try {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+  } catch (e) {}
+
+  loadSettings();
+  loadAccessControl();
+
+  // Leftover HLS segments from a previous run are never valid
+  await fs.promises.rm(path.join(dataDir, 'hls'), { recursive: true, force: true }).catch(function () {});
+
+  // Initialize FFmpeg
+  if (argv.outputFormat !== 'webm') {
+    try {
+      await findFFmpegPath();
+      console.log('FFmpeg found:', cachedFFmpegPath);
+    } catch (e) {
+      console.error('FFmpeg not found. MPEG-TS and HLS output will not work.');
+      console.error('Please install FFmpeg or use --outputFormat=webm');
+    }
+  }
+
+  loadLineup();
+  loadPageRules();
+  loadRecipes();
+  loadProfiles();
+  loadTuneStats();
+  startGuideRefresh({ acquirePage: acquirePage, releasePage: releasePage });
+
+  // HDHomeRun Configuration
+  const HDHR_DEVICE_ID = loadHdhrDeviceId();
+  const HDHR_DEVICE_AUTH = 'test1234';
+  const HDHR_FRIENDLY_NAME = 'Kayo Sports Tuner';
+  const HDHR_PORT = 5004;
+
+  const app = express();
+
+  // logger
+  const df = require('dateformat');
+  morgan.token('mydate', function () {
+    return df(new Date(), 'yyyy/mm/dd HH:MM:ss.l');
+  });
+  morgan.token('safeurl', function (req) {
+    return redactToken(req.originalUrl || req.url);
+  });
+  app.use(morgan('[:mydate] :method :safeurl from :remote-addr responded :status in :response-time ms'));
+
+  // Set once SIGTERM/SIGINT arrives (see Shutdown); keep-alive connections
+  // can still send requests after the listeners stop accepting new ones
+  let shuttingDown = false;
+  app.use(function (req, res, next) {
+    if (!shuttingDown) return next();
+    res.setHeader('Connection', 'close');
+    res.status(503).send('Shutting down');
+  });
+  app.use(accessControl);
+  app.use(express.json());
+
+  // ---------------- Page Setup Helpers ----------------
+  const pagesInUse = new Set();
+
+  function cssNoAnimOneLine() {
+    return (
+      '*{animation-duration:0s!important;transition-duration:0s!important;scroll-behavior:auto!important}' +
+      '*::before{animation-duration:0s!important;transition-duration:0s!important}' +
+      '*::after{animation-duration:0s!important;transition-duration:0s!important}'
+    );
+  }
+
+  async function setupPage(browser) {
+    const newPage = await browser.newPage();
+    await newPage.setBypassCSP(true);
+    await delay(200);
+
+    try {
+      await newPage.addStyleTag({ content: cssNoAnimOneLine() });
+    } catch (e) {}
+
+    newPage.on('console', function (msg) {
+      const text = msg.text();
+      if (text.indexOf('Mixed Content') === -1) {
+        // console.log(text);
+      }
+    });
+
+    return newPage;
+  }
+
+  async function acquirePage() {
+    const browser = await getCurrentBrowser();
+    const page = await setupPage(browser);
+    pagesInUse.add(page);
+    return page;
+  }
+
+  async function releasePage(page, reason) {
+    if (!page) return;
+    if (pagesInUse.has(page)) pagesInUse.delete(page);
+
+    try { await page.close(); } catch (e) {}
+    if (reason) console.log('[Page] Closed:', reason);
+    // A tuner just freed up
+    fillWarmPool();
+  }
+  // ---------------------------------------------------
+
+  // ---------------- Warm Page Pool ----------------
+  // With --warmPool N, up to N tabs wait on the default provider's start page,
+  // already sized and scaled the way a tune leaves them, so a stream only has
+  // to select its channel. Tabs are warmed one at a time, never more than the
+  // tuners left free, and a taken tab is replaced in the background.
+  const WARM_POOL_CHECK_MS = 30000;
+  const WARM_RETRY_MS = 60000;
+  const WARM_READY_TIMEOUT_MS = 30000;
+
+  // { page, provider, url, ready, warmedAt }
+  const warmPages = [];
+  let warmRetryAt = 0;
+  let warmDrained = false;
+  let lastTuneAt = Date.now();
+
+  function warmPoolTarget() {
+    if (!(argv.warmPool > 0) || warmDrained) return 0;
+    return Math.max(0, Math.min(argv.warmPool, argv.tuners - pagesInUse.size));
+  }
+
+  function dropWarmPage(entry, reason) {
+    const idx = warmPages.indexOf(entry);
+    if (idx !== -1) warmPages.splice(idx, 1);
+    if (entry.page) entry.page.close().catch(function () {});
+    if (reason) console.log('[Pool] Closed warm tab:', reason);
+  }
+
+  async function warmPage(entry) {
+    const provider = getProvider(entry.provider);
+    const browser = await getCurrentBrowser();
+    entry.page = await setupPage(browser);
+    await provider.navigate(entry.page, { url: entry.url });
+    await setWindowBounds(entry.page);
+
+    const deadline = Date.now() + WARM_READY_TIMEOUT_MS;
+    let state = 'unknown';
+    while (state === 'unknown' && Date.now() < deadline) {
+      try {
+        state = await provider.detectLogin(entry.page, null);
+      } catch (e) {
+        state = 'unknown';
+      }
+      if (state === 'unknown') await delay(LOGIN_POLL_MS);
+    }
+    if (state === 'login') throw new Error('not logged in to ' + provider.label);
+    if (state !== 'browse') throw new Error(entry.url + ' did not finish loading');
+  }
+
+  function fillWarmPool() {
+    if (Date.now() < warmRetryAt) return;
+    if (warmPages.some(function (e) { return !e.ready; })) return;
+    if (warmPages.length >= warmPoolTarget()) return;
+
+    const provider = getProvider(DEFAULT_PROVIDER);
+    const entry = { page: null, provider: provider.name, url: provider.defaultUrl, ready: false, warmedAt: null };
+    warmPages.push(entry);
+
+    warmPage(entry).then(function () {
+      if (warmPages.indexOf(entry) === -1) {
+        dropWarmPage(entry);
+        return;
+      }
+      entry.ready = true;
+      entry.warmedAt = Date.now();
+      console.log('[Pool] Warm tab ready (' + warmPages.length + '/' + argv.warmPool + ')');
+      fillWarmPool();
+    }).catch(function (e) {
+      // Closed on purpose while it was still loading
+      if (warmPages.indexOf(entry) === -1) return;
+      console.warn('[Pool] Warming failed, retrying in ' + (WARM_RETRY_MS / 1000) + 's:', e.message || e);
+      warmRetryAt = Date.now() + WARM_RETRY_MS;
+      dropWarmPage(entry);
+    });
+  }
+
+  // Hands out a ready tab on the channel's start page, or null for a cold tune
+  function takeWarmPage(channel) {
+    lastTuneAt = Date.now();
+    warmDrained = false;
+    if (!(argv.warmPool > 0)) return null;
+
+    let entry = null;
+    for (const e of warmPages.slice()) {
+      if (!e.ready || e.provider !== channel.provider || e.url !== channel.url) continue;
+      if (e.page.isClosed()) {
+        dropWarmPage(e);
+        continue;
+      }
+      entry = e;
+      break;
+    }
+
+    if (!entry) {
+      incCounter('cc4c_warm_pool_takes_total', { result: 'miss' });
+      fillWarmPool();
+      return null;
+    }
+
+    warmPages.splice(warmPages.indexOf(entry), 1);
+    pagesInUse.add(entry.page);
+    incCounter('cc4c_warm_pool_takes_total', { result: 'hit' });
+    console.log('[Pool] Using warm tab (warmed ' + Math.round((Date.now() - entry.warmedAt) / 1000) + 's ago)');
+    fillWarmPool();
+    return entry.page;
+  }
+
+  function maintainWarmPool() {
+    const now = Date.now();
+
+    const idleMs = argv.warmPoolIdleMinutes * 60 * 1000;
+    if (idleMs > 0 && !warmDrained && pagesInUse.size === 0 && now - lastTuneAt > idleMs) {
+      warmDrained = true;
+      if (warmPages.length > 0) console.log('[Pool] No streams for ' + argv.warmPoolIdleMinutes + ' min, closing warm tabs');
+    }
+
+    // Tuners got busy, the pool shrank or went idle
+    while (warmPages.length > warmPoolTarget()) {
+      dropWarmPage(warmPages[warmPages.length - 1], 'pool is larger than needed');
+    }
+
+    // Reload one stale tab per check so the pool never empties all at once
+    const refreshMs = argv.warmPoolRefreshMinutes * 60 * 1000;
+    const stale = warmPages.find(function (e) {
+      return e.ready && (e.page.isClosed() || (refreshMs > 0 && now - e.warmedAt > refreshMs));
+    });
+    if (stale) dropWarmPage(stale, 'refreshing');
+
+    fillWarmPool();
+  }
+
+  function startWarmPool() {
+    setInterval(maintainWarmPool, WARM_POOL_CHECK_MS);
+    if (argv.warmPool > 0) {
+      console.log('[Pool] Keeping up to ' + argv.warmPool + ' warm tabs on ' + getProvider(DEFAULT_PROVIDER).defaultUrl);
+      fillWarmPool();
+    }
+  }
+  // ---------------------------------------------------
+
+  // ---------------- HDHomeRun Emulation Routes ----------------
+  // Mounted on the main app and on the standard HDHR_PORT listener
+  const hdhrRouter = express.Router();
+
+  // Discovery endpoint (required for Plex to find the tuner)
+  hdhrRouter.get('/discover.json', function (req, res) {
+    res.json({
+      FriendlyName: HDHR_FRIENDLY_NAME,
+      Manufacturer: 'Silicondust',
+      ModelNumber: 'HDHR4-2US',
+      FirmwareName: 'hdhomerun4_atsc',
+      TunerCount: argv.tuners,
+      FirmwareVersion: '20190621',
+      DeviceID: HDHR_DEVICE_ID,
+      DeviceAuth: HDHR_DEVICE_AUTH,
+      BaseURL: req.protocol + '://' + req.get('host'),
+      // Only a client that came with the token gets it back
+      LineupURL: req.protocol + '://' + req.get('host') + (hasStreamAccess(req) ? withStreamToken('/lineup.json') : '/lineup.json')
+    });
+  });
+
+  // Device info XML (alternate discovery format)
+  hdhrRouter.get('/device.xml', function (req, res) {
+    const xml = '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<root xmlns="urn:schemas-upnp-org:device-1-0">' +
+      '<specVersion><major>1</major><minor>0</minor></specVersion>' +
+      '<URLBase>' + req.protocol + '://' + req.get('host') + '</URLBase>' +
+      '<device>' +
+      '<deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>' +
+      '<friendlyName>' + HDHR_FRIENDLY_NAME + '</friendlyName>' +
+      '<manufacturer>Silicondust</manufacturer>' +
+      '<modelName>HDHR4-2US</modelName>' +
+      '<modelNumber>HDHR4-2US</modelNumber>' +
+      '<serialNumber></serialNumber>' +
+      '<UDN>uuid:' + HDHR_DEVICE_ID + '</UDN>' +
+      '</device>' +
+      '</root>';
+    
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(xml);
+  });
+
+  // Lineup endpoint (channel list)
+  hdhrRouter.get('/lineup.json', function (req, res) {
+    const host = req.get('host');
+    const protocol = req.protocol;
+    
+    const lineup = Object.keys(CHANNELS).map(function (channelKey) {
+      const ch = CHANNELS[channelKey];
+      return {
+        GuideNumber: String(ch.number),
+        GuideName: ch.name,
+        URL: protocol + '://' + host + withStreamToken('/stream/' + channelKey)
+      };
+    });
+
+    res.json(lineup);
+  });
+
+  // Lineup status
+  hdhrRouter.get('/lineup_status.json', function (req, res) {
+    if (channelScan.state === 'running') {
+      res.json({ ScanInProgress: 1, Progress: channelScan.progress, Found: channelScan.foundSoFar });
+      return;
+    }
+    res.json({
+      ScanInProgress: 0,
+      ScanPossible: 1,
+      Source: 'Cable',
+      SourceList: ['Cable']
+    });
+  });
+
+  // Tuner status (shows active streams)
+  hdhrRouter.get('/status.json', function (req, res) {
+    res.json({
+      ActiveStreams: activeStreams,
+      MaxStreams: argv.tuners
+    });
+  });
+
+  // Lineup POST (for tuning)
+  // Clients start a scan with ?scan=start. Found tiles still have to be
+  // accepted through /api/channels/accept before they join the lineup.
+  hdhrRouter.post('/lineup.post', function (req, res) {
+    if (req.query.scan === 'start') {
+      runChannelScan().catch(function (e) { console.error('[Scan] Failed:', e.message || e); });
+    }
+    res.send('OK');
+  });
+
+  app.use(hdhrRouter);
+  // -----------------------------------------------------------
+
+  app.get('/metrics', function (req, res) {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+    res.send(renderMetrics());
+  });
+
+  // ---------------- Settings Routes ----------------
+  app.get('/api/settings', function (req, res) {
+    res.json({ file: settingsPath, settings: describeSettings() });
+  });
+
+  app.put('/api/settings', function (req, res) {
+    let result;
+    try {
+      result = updateSettings(req.body);
+    } catch (e) {
+      console.error('[Settings] Failed to save:', e);
+      res.status(500).json({ errors: ['failed to save settings: ' + e.message] });
+      return;
+    }
+    if (result.errors) {
+      res.status(400).json({ errors: result.errors });
+      return;
+    }
+    res.json({ file: settingsPath, settings: result.settings });
+  });
+
+  app.get('/settings', function (req, res) {
+    const rows = describeSettings().map(function (s) {
+      let input;
+      if (s.type === 'boolean') {
+        input = '<input type="checkbox" name="' + s.key + '"' + (s.value ? ' checked' : '') + '>';
+      } else if (s.choices) {
+        input = '<select name="' + s.key + '">' + s.choices.map(function (c) {
+          return '<option' + (c === s.value ? ' selected' : '') + '>' + xmlEscape(c) + '</option>';
+        }).join('') + '</select>';
+      } else {
+        input = '<input type="number" name="' + s.key + '" min="' + s.min + '" max="' + s.max + '" value="' + xmlEscape(s.value) + '">';
+      }
+
+      return '<tr>' +
+        '<td>' + xmlEscape(s.label) + '</td>' +
+        '<td>' + input + '</td>' +
+        '<td>' + xmlEscape(s.default) + '</td>' +
+        '<td>' + (s.applies === 'restart' ? 'after restart' : 'next stream') +
+        (s.restartPending ? ' <strong>(restart pending)</strong>' : '') + '</td>' +
+        '</tr>';
+    }).join('');
+
+    const html =
+      '<html>' +
+      '<title>Settings - Chrome Capture for Channels</title>' +
+      '<h2>Settings</h2>' +
+      '<p><a href="/">&larr; Back</a></p>' +
+      '<p>Saved to <code>' + xmlEscape(settingsPath) + '</code>, overriding the command line.</p>' +
+      '<form id="settings">' +
+      '<table border="1" cellpadding="5" cellspacing="0">' +
+      '<tr><th>Setting</th><th>Value</th><th>Command line</th><th>Takes effect</th></tr>' +
+      rows +
+      '</table>' +
+      '<p><button type="submit">Save</button> <span id="result"></span></p>' +
+      '</form>' +
+      '<script>' +
+      'document.getElementById("settings").addEventListener("submit", function (e) {' +
+      '  e.preventDefault();' +
+      '  var body = {};' +
+      '  Array.prototype.forEach.call(e.target.elements, function (el) {' +
+      '    if (!el.name) return;' +
+      '    body[el.name] = el.type === "checkbox" ? el.checked : (el.type === "number" ? Number(el.value) : el.value);' +
+      '  });' +
+      '  fetch("/api/settings", { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) })' +
+      '    .then(function (r) { return r.json(); })' +
+      '    .then(function (data) {' +
+      '      if (data.errors) { document.getElementById("result").textContent = data.errors.join("; "); return; }' +
+      '      location.reload();' +
+      '    });' +
+      '});' +
+      '</script>' +
+      '</html>';
+
+    res.send(html);
+  });
+  // ---------------------------------------------------
+
+  // ---------------- Remote Login ----------------
+  // /auth drives a dedicated tab in the shared profile so Kayo can be logged
+  // into without VNC: screenshots go out, clicks and keys come back in through
+  // CDP. The tab closes itself after a while without use.
+  const AUTH_IDLE_CLOSE_MS = 10 * 60 * 1000;
+  const AUTH_SPECIAL_KEYS = ['Enter', 'Backspace', 'Tab', 'Escape', 'Delete', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+  let authPage = null;
+  let authOpening = null;
+  let authLastUsed = 0;
+  let authIdleTimer = null;
+
+  async function closeAuthPage(reason) {
+    clearInterval(authIdleTimer);
+    authIdleTimer = null;
+    const page = authPage;
+    authPage = null;
+    if (page) {
+      try { await page.close(); } catch (e) {}
+      console.log('[Auth] Closed login tab:', reason);
+    }
+  }
+
+  async function openAuthPage() {
+    const browser = await getCurrentBrowser();
+    const page = await browser.newPage();
+    try {
+      await page.goto(KAYO_BROWSE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    } catch (e) {
+      // Still hand the tab out, the screenshot shows what went wrong
+      console.log('[Auth] Login tab navigation failed:', e.message);
+    }
+    console.log('[Auth] Opened login tab');
+
+    // A tab closed from outside leaves its timer running
+    clearInterval(authIdleTimer);
+    authIdleTimer = setInterval(function () {
+      if (Date.now() - authLastUsed > AUTH_IDLE_CLOSE_MS) closeAuthPage('idle');
+    }, 60000);
+    return page;
+  }
+
+  async function getAuthPage() {
+    authLastUsed = Date.now();
+    if (authPage && !authPage.isClosed()) return authPage;
+
+    if (!authOpening) {
+      authOpening = openAuthPage().finally(function () { authOpening = null; });
+    }
+    authPage = await authOpening;
+    return authPage;
+  }
+
+  app.get('/api/auth/status', async function (req, res) {
+    const tabOpen = !!(authPage && !authPage.isClosed());
+    if (tabOpen) {
+      try { await detectPageState(authPage); } catch (e) {}
+    }
+    res.json(Object.assign({ tabOpen: tabOpen }, kayoLogin));
+  });
+
+  app.get('/api/auth/screenshot.jpg', async function (req, res) {
+    try {
+      const page = await getAuthPage();
+      // Straight through CDP: page.screenshot() would activate the tab
+      const cdp = await page.target().createCDPSession();
+      const shot = await cdp.send('Page.captureScreenshot', { format: 'jpeg', quality: 60 });
+      await cdp.detach().catch(function () {});
+      res.setHeader('Content-Type', 'image/jpeg');
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(Buffer.from(shot.data, 'base64'));
+    } catch (e) {
+      console.log('[Auth] Screenshot failed', e);
+      res.status(500).send('screenshot failed: ' + e);
+    }
+  });
+
+  // { type: 'click', x, y } with x/y as fractions of the screenshot,
+  // { type: 'scroll', deltaY }, { type: 'key', key } or { type: 'text', text }
+  app.post('/api/auth/input', async function (req, res) {
+    const input = req.body || {};
+    if (['click', 'scroll', 'key', 'text'].indexOf(input.type) === -1) {
+      res.status(400).json({ error: 'type must be click, scroll, key or text' });
+      return;
+    }
+
+    try {
+      const page = await getAuthPage();
+
+      if (input.type === 'click' || input.type === 'scroll') {
+        const x = Number(input.x);
+        const y = Number(input.y);
+        if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+          res.status(400).json({ error: 'x and y must be between 0 and 1' });
+          return;
+        }
+        const size = await page.evaluate(function () {
+          return { w: window.innerWidth, h: window.innerHeight };
+        });
+        await page.mouse.move(x * size.w, y * size.h);
+        if (input.type === 'click') await page.mouse.click(x * size.w, y * size.h);
+        else await page.mouse.wheel({ deltaY: Number(input.deltaY) || 0 });
+      } else if (input.type === 'key') {
+        const key = String(input.key || '');
+        if (key.length === 1) await page.keyboard.type(key);
+        else if (AUTH_SPECIAL_KEYS.indexOf(key) !== -1) await page.keyboard.press(key);
+        else {
+          res.status(400).json({ error: 'unsupported key ' + key });
+          return;
+        }
+      } else {
+        await page.keyboard.type(String(input.text || ''));
+      }
+
+      res.json({ ok: true });
+    } catch (e) {
+      console.log('[Auth] Input failed', e);
+      res.status(500).json({ error: 'input failed: ' + e });
+    }
+  });
+
+  app.post('/api/auth/browse', async function (req, res) {
+    try {
+      const page = await getAuthPage();
+      await page.goto(KAYO_BROWSE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await waitForBrowseOrLogin(page, null, 10000);
+      res.json(Object.assign({ tabOpen: true }, kayoLogin));
+    } catch (e) {
+      res.status(500).json({ error: 'navigation failed: ' + e });
+    }
+  });
+
+  app.post('/api/auth/close', async function (req, res) {
+    await closeAuthPage('closed from /auth');
+    res.json({ ok: true });
+  });
+
+  app.get('/auth', function (req, res) {
+    const html =
+      '<html>' +
+      '<title>Kayo Login - Chrome Capture for Channels</title>' +
+      '<h2>Kayo Login</h2>' +
+      '<p><a href="/">&larr; Back</a></p>' +
+      '<p>Session: <strong id="state">checking...</strong></p>' +
+      '<p>' +
+      '<button id="browse">Go to browse page</button> ' +
+      '<button id="close">Close login tab</button> ' +
+      '<input id="text" size="30" placeholder="Text to type (e.g. password)"> <button id="type">Type</button>' +
+      '</p>' +
+      '<p>Click the picture to click in Chrome. Keys typed on this page are sent to the tab.</p>' +
+      '<img id="screen" style="max-width:100%;border:1px solid #888;cursor:crosshair">' +
+      '<script>' +
+      'var img = document.getElementById("screen");' +
+      'function post(path, body) {' +
+      '  return fetch(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body || {}) });' +
+      '}' +
+      'function refresh() { img.src = "/api/auth/screenshot.jpg?t=" + Date.now(); }' +
+      'img.onload = function () { setTimeout(refresh, 1000); };' +
+      'img.onerror = function () { setTimeout(refresh, 3000); };' +
+      'img.addEventListener("click", function (e) {' +
+      '  var r = img.getBoundingClientRect();' +
+      '  post("/api/auth/input", { type: "click", x: (e.clientX - r.left) / r.width, y: (e.clientY - r.top) / r.height });' +
+      '});' +
+      'img.addEventListener("wheel", function (e) {' +
+      '  e.preventDefault();' +
+      '  var r = img.getBoundingClientRect();' +
+      '  post("/api/auth/input", { type: "scroll", x: (e.clientX - r.left) / r.width, y: (e.clientY - r.top) / r.height, deltaY: e.deltaY });' +
+      '});' +
+      'document.addEventListener("keydown", function (e) {' +
+      '  if (e.target.tagName === "INPUT" || e.ctrlKey || e.metaKey || e.altKey) return;' +
+      '  e.preventDefault();' +
+      '  post("/api/auth/input", { type: "key", key: e.key });' +
+      '});' +
+      'document.getElementById("type").onclick = function () {' +
+      '  var t = document.getElementById("text");' +
+      '  post("/api/auth/input", { type: "text", text: t.value });' +
+      '  t.value = "";' +
+      '};' +
+      'document.getElementById("browse").onclick = function () { post("/api/auth/browse"); };' +
+      'document.getElementById("close").onclick = function () { post("/api/auth/close"); };' +
+      'function status() {' +
+      '  fetch("/api/auth/status").then(function (r) { return r.json(); }).then(function (s) {' +
+      '    document.getElementById("state").textContent = s.state + (s.checkedAt ? " (checked " + s.checkedAt + ")" : "");' +
+      '  });' +
+      '}' +
+      'setInterval(status, 3000);' +
+      'status();' +
+      'refresh();' +
+      '</script>' +
+      '</html>';
+
+    res.send(html);
+  });
+  // ---------------------------------------------------
+
+  // ---------------- Routes ----------------
+  app.get('/', function (req, res) {
+    const host = req.get('host');
+    const protocol = req.protocol;
     const html =
       '<html>' +
       '<title>Chrome Capture for Channels</title>' +
       '<h2>Chrome Capture for Channels</h2>' +
       '<p>Output Format: <strong>' + argv.outputFormat.toUpperCase() + '</strong></p>' +
+      '<p>Kayo session: <strong>' + kayoLogin.state + '</strong> (<a href="/auth">log in</a>)</p>' +
       '<h3>HDHomeRun Emulation</h3>' +
       '<p>Device Name: <strong>' + HDHR_FRIENDLY_NAME + '</strong></p>' +
       '<p>Device ID: <strong>' + HDHR_DEVICE_ID + '</strong></p>' +
-      '<p>Tuners: <strong>' + HDHR_TUNER_COUNT + '</strong></p>' +
+      '<p>Tuners: <strong>' + argv.tuners + '</strong>' +
+      (argv.warmPool > 0 ? ', warm tabs ready: <strong>' + warmPages.filter(function (e) { return e.ready; }).length + '/' + argv.warmPool + '</strong>' : '') +
+      ' (<a href="/settings">settings</a>)</p>' +
       '<p>To add in Plex:</p>' +
       '<ol>' +
       '<li>Go to Settings &rarr; Live TV &amp; DVR</li>' +
       '<li>Click "Set Up Plex DVR"</li>' +
       '<li>Enter this address: <code>' + protocol + '://' + host.split(':')[0] + ':' + argv.port + '</code></li>' +
       '</ol>' +
+      '<h3>Sessions</h3>' +
+      '<table id="sessions" border="1" cellpadding="4" cellspacing="0">' +
+      '<tr><th>Session</th><th>Picture</th><th>Channel</th><th>Clients</th><th>Started</th><th>Phase</th><th>Sent</th><th>FFmpeg PID</th><th></th></tr>' +
+      '</table>' +
+      '<p id="no-sessions">Nothing is streaming.</p>' +
       '<h3>Available Channels</h3>' +
       '<table border="1" cellpadding="5" cellspacing="0">' +
-      '<tr><th>Number</th><th>Name</th><th>Stream URL</th></tr>' +
+      '<tr><th>Number</th><th>Name</th><th>Stream URL</th><th>HLS</th></tr>' +
       Object.keys(CHANNELS).sort(function (a, b) {
         return CHANNELS[a].number - CHANNELS[b].number;
       }).map(function (k) {
@@ -812,338 +4878,1864 @@ async function main() {
         return '<tr>' +
           '<td align="center">' + ch.number + '</td>' +
           '<td>' + ch.name + '</td>' +
-          '<td><a href="' + protocol + '://' + host + '/stream/' + k + '">/stream/' + k + '</a></td>' +
+          '<td><a href="' + protocol + '://' + host + xmlEscape(withStreamToken('/stream/' + k)) + '">/stream/' + k + '</a></td>' +
+          '<td><a href="' + protocol + '://' + host + xmlEscape(withStreamToken('/hls/' + k + '/index.m3u8')) + '">/hls/' + k + '/index.m3u8</a></td>' +
+          '</tr>';
+      }).join('') +
+      '</table>' +
+      '<h3>Transcoding Profiles</h3>' +
+      '<p>Pick one with <code>?profile=</code> or <code>/stream/&lt;channel&gt;/&lt;profile&gt;</code>. Edit them in ' + xmlEscape(profilesPath) + '.</p>' +
+      '<table border="1" cellpadding="4" cellspacing="0">' +
+      '<tr><th>Profile</th><th>Description</th><th>Playlist</th><th>FFmpeg arguments</th></tr>' +
+      describeProfiles().map(function (p) {
+        const playlist = '/playlist.m3u' + (p.name === DEFAULT_PROFILE ? '' : '?profile=' + p.name);
+        return '<tr>' +
+          '<td>' + xmlEscape(p.name) + '</td>' +
+          '<td>' + xmlEscape(p.description) + '</td>' +
+          '<td><a href="' + xmlEscape(withStreamToken(playlist)) + '">' + playlist + '</a></td>' +
+          '<td><code>' + xmlEscape(p.command) + '</code></td>' +
           '</tr>';
       }).join('') +
       '</table>' +
       '<h3>M3U Playlist</h3>' +
-      '<p><a href="' + protocol + '://' + host + '/playlist.m3u">Download M3U</a></p>' +
-      '<pre>' +
-      '#EXTM3U\n\n' +
-      Object.keys(CHANNELS).sort(function (a, b) {
-        return CHANNELS[a].number - CHANNELS[b].number;
-      }).map(function (k) {
-        const ch = CHANNELS[k];
-        return '#EXTINF:-1 channel-id="kayo-' + k + '" tvg-chno="' + ch.number + '",' + ch.name + '\n' +
-               protocol + '://' + host + '/stream/' + k;
-      }).join('\n\n') +
-      '</pre>' +
+      '<p><a href="' + protocol + '://' + host + xmlEscape(withStreamToken('/playlist.m3u')) + '">Download M3U</a></p>' +
+      '<p>Narrow it down with <code>?group=</code> or <code>?channels=</code> (keys or numbers, comma separated), ' +
+      'pick <code>?format=stream|hls</code> or <code>?profile=</code>, and use <code>?urls=relative</code> for links without the host.</p>' +
+      '<pre>' + xmlEscape(buildM3u(CHANNELS, { baseUrl: protocol + '://' + host })) + '</pre>' +
       '<h3>HDHomeRun Discovery URLs</h3>' +
       '<ul>' +
       '<li><a href="/discover.json">/discover.json</a> - Device discovery</li>' +
       '<li><a href="/lineup.json">/lineup.json</a> - Channel lineup</li>' +
       '<li><a href="/lineup_status.json">/lineup_status.json</a> - Lineup status</li>' +
       '<li><a href="/device.xml">/device.xml</a> - Device XML</li>' +
+      '<li><a href="/epg.xml">/epg.xml</a> - XMLTV guide</li>' +
+      '<li><a href="/api/channels/scan">/api/channels/scan</a> - Last channel scan (POST to rescan)</li>' +
+      '<li><a href="/api/sessions">/api/sessions</a> - Running sessions (DELETE /api/sessions/&lt;id&gt; stops one)</li>' +
+      '<li>/api/sessions/&lt;id&gt;/snapshot.jpg and /api/channels/&lt;key&gt;/thumbnail.jpg - What a tab shows</li>' +
       '</ul>' +
+      '<script>' +
+      'var table = document.getElementById("sessions");' +
+      'var thumbs = {};' +
+      'function cell(row, text) { row.insertCell().textContent = text; }' +
+      // Reused across polls so the picture only reloads every 10 seconds
+      'function thumb(s) {' +
+      '  var src = (s.channel ? "/api/channels/" + encodeURIComponent(s.channel) + "/thumbnail.jpg?" : "/api/sessions/" + s.id + "/snapshot.jpg?width=' + THUMBNAIL_WIDTH + '&") +' +
+      '    "t=" + Math.floor(Date.now() / ' + THUMBNAIL_MAX_AGE_MS + ');' +
+      '  var link = thumbs[s.id];' +
+      '  if (!link) {' +
+      '    link = document.createElement("a");' +
+      '    link.href = "/api/sessions/" + s.id + "/snapshot.jpg";' +
+      '    link.target = "_blank";' +
+      '    link.title = "Full-size snapshot";' +
+      '    var img = document.createElement("img");' +
+      '    img.width = 160;' +
+      '    img.alt = "";' +
+      '    img.onerror = function () { img.style.visibility = "hidden"; };' +
+      '    img.onload = function () { img.style.visibility = ""; };' +
+      '    link.appendChild(img);' +
+      '    thumbs[s.id] = link;' +
+      '  }' +
+      '  if (s.phase !== "starting" && s.phase !== "navigating" && link.firstChild.getAttribute("src") !== src) link.firstChild.src = src;' +
+      '  return link;' +
+      '}' +
+      'function size(n) {' +
+      '  if (n >= 1073741824) return (n / 1073741824).toFixed(2) + " GB";' +
+      '  return (n / 1048576).toFixed(1) + " MB";' +
+      '}' +
+      'function stop(id) {' +
+      '  if (!confirm("Stop session " + id + "?")) return;' +
+      '  fetch("/api/sessions/" + id, { method: "DELETE" }).then(load);' +
+      '}' +
+      'function load() {' +
+      '  fetch("/api/sessions").then(function (r) { return r.json(); }).then(function (list) {' +
+      '    while (table.rows.length > 1) table.deleteRow(1);' +
+      '    var seen = {};' +
+      '    list.forEach(function (s) {' +
+      '      var row = table.insertRow();' +
+      '      seen[s.id] = true;' +
+      '      cell(row, s.id);' +
+      '      row.insertCell().appendChild(thumb(s));' +
+      '      cell(row, s.channel ? s.name + " (" + s.channel + ")" : s.url);' +
+      '      cell(row, s.clients.map(function (c) { return c.address ? c.kind + " " + c.address : c.kind; }).join(", "));' +
+      '      cell(row, new Date(s.startedAt).toLocaleTimeString());' +
+      '      cell(row, s.phase);' +
+      '      cell(row, size(s.bytesOut));' +
+      '      cell(row, s.ffmpegPid || "");' +
+      '      var button = document.createElement("button");' +
+      '      button.textContent = "Stop";' +
+      '      button.onclick = function () { stop(s.id); };' +
+      '      row.insertCell().appendChild(button);' +
+      '    });' +
+      '    Object.keys(thumbs).forEach(function (id) { if (!seen[id]) delete thumbs[id]; });' +
+      '    document.getElementById("no-sessions").style.display = list.length ? "none" : "";' +
+      '  }).catch(function () {});' +
+      '}' +
+      'load();' +
+      'setInterval(load, 2000);' +
+      '</script>' +
       '</html>';
 
-    res.send(html);
+    res.send(html);
+  });
+
+  // ?profile=<name> lists the same channels using that transcoding profile;
+  // see buildM3u for ?format, ?group, ?channels and ?urls
+  app.get('/playlist.m3u', function (req, res) {
+    const profileName = String(req.query.profile || DEFAULT_PROFILE).toLowerCase();
+    if (!transcodeProfiles[profileName]) {
+      res.status(404).send('Profile not found. Available profiles: ' + Object.keys(transcodeProfiles).join(', '));
+      return;
+    }
+    const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+    if (format && M3U_FORMATS.indexOf(format) === -1) {
+      res.status(400).send('Unknown format. Available formats: ' + M3U_FORMATS.join(', '));
+      return;
+    }
+    if (format === 'hls' && profileName !== DEFAULT_PROFILE) {
+      res.status(400).send('HLS only carries the ' + DEFAULT_PROFILE + ' profile');
+      return;
+    }
+    const urls = String(req.query.urls || 'absolute').toLowerCase();
+    if (urls !== 'absolute' && urls !== 'relative') {
+      res.status(400).send('urls must be absolute or relative');
+      return;
+    }
+    const list = function (value) {
+      return value ? String(value).split(',').map(function (v) { return v.trim(); }).filter(Boolean) : null;
+    };
+
+    res.setHeader('Content-Type', 'application/x-mpegurl');
+    res.send(buildM3u(CHANNELS, {
+      baseUrl: urls === 'relative' ? '' : req.protocol + '://' + req.get('host'),
+      profile: profileName,
+      format: format,
+      groups: list(req.query.group),
+      channels: list(req.query.channels && String(req.query.channels).toLowerCase()),
+    }));
+  });
+
+  // Channel logos for playlists: the cached copy of the tile image once it
+  // has been fetched, a redirect to the original until then
+  app.get('/logos/:channelName', function (req, res) {
+    const channel = CHANNELS[req.params.channelName.toLowerCase()];
+    if (!channel || !channel.logo) {
+      res.status(404).send('No logo for this channel');
+      return;
+    }
+    const name = slateLogo(channel.logo);
+    if (!name) {
+      res.redirect(channel.logo);
+      return;
+    }
+    const data = fs.readFileSync(path.join(slateDir(), name));
+    res.setHeader('Cache-Control', 'max-age=86400');
+    res.type(logoContentType(data)).send(data);
+  });
+
+  app.get('/epg.xml', function (req, res) {
+    const baseUrl = req.protocol + '://' + req.get('host');
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(buildXmltv(CHANNELS, baseUrl));
+  });
+
+  app.post('/api/guide/refresh', async function (req, res) {
+    await refreshGuide();
+    res.json({ updatedAt: new Date(guideCache.updatedAt).toISOString(), programmes: guideCache.programmes.length });
+  });
+
+  // ---------------- Synthetic Provider Routes ----------------
+  app.get(SYNTHETIC_PATH, function (req, res) {
+    res.type('html').send(syntheticPage(syntheticTiles()));
+  });
+
+  app.get(SYNTHETIC_PATH + 'tile/:file', function (req, res) {
+    const slug = req.params.file.replace(/\.svg$/, '');
+    const tile = syntheticTiles().find(function (t) { return t.slug === slug; });
+    if (!tile) return res.status(404).send('Unknown synthetic channel');
+    res.type('image/svg+xml').send(syntheticTileSvg(tile));
+  });
+
+  // ---------------- Channel Scan Routes ----------------
+  app.get('/api/channels/scan', function (req, res) {
+    res.json(describeChannelScan());
+  });
+
+  // How each selection strategy has done per channel, and the order the next
+  // tune of that channel will try them in
+  app.get('/api/channels/tune-stats', function (req, res) {
+    const result = {};
+    Object.keys(CHANNELS).forEach(function (key) {
+      const channel = CHANNELS[key];
+      result[key] = {
+        order: tuneStrategyOrder(key, channel, getProvider(channel.provider)),
+        strategies: tuneStats[key] || {},
+      };
+    });
+    res.json(result);
+  });
+
+  // Waits for the scan to finish; ?provider= picks the site (default kayo)
+  app.post('/api/channels/scan', async function (req, res) {
+    try {
+      const result = await runChannelScan(req.query.provider);
+      res.status(result.state === 'failed' ? (result.loginRequired ? NOT_LOGGED_IN_STATUS : 500) : 200).json(result);
+    } catch (e) {
+      res.status(400).json({ errors: [e.message] });
+    }
+  });
+
+  app.post('/api/channels/accept', function (req, res) {
+    let result;
+    try {
+      result = acceptScannedChannels(req.body && req.body.channels);
+    } catch (e) {
+      console.error('[Scan] Failed to update lineup:', e);
+      res.status(500).json({ errors: ['failed to update lineup: ' + e.message] });
+      return;
+    }
+    if (result.errors) {
+      res.status(400).json({ errors: result.errors });
+      return;
+    }
+    res.json({ added: result.added, file: lineupPath, scan: describeChannelScan() });
+  });
+  // -----------------------------------------------------------
+
+  // Individual channel streaming endpoint. The transcoding profile comes from
+  // ?profile= or /stream/:channelName/:profile and defaults to copy.
+  const channelStreamRoute = async function (req, res) {
+    const channelName = req.params.channelName.toLowerCase();
+    const channel = CHANNELS[channelName];
+
+    if (!channel) {
+      res.status(404).send('Channel not found. Available channels: ' + Object.keys(CHANNELS).join(', '));
+      return;
+    }
+
+    const profileName = String(req.params.profile || req.query.profile || DEFAULT_PROFILE).toLowerCase();
+    const profile = transcodeProfiles[profileName];
+    if (!profile) {
+      res.status(404).send('Profile not found. Available profiles: ' + Object.keys(transcodeProfiles).join(', '));
+      return;
+    }
+
+    if (profileName === DEFAULT_PROFILE) {
+      await handleChannelStream(req, res, channel, channelName);
+    } else {
+      handleProfileStream(req, res, channel, channelName, profile);
+    }
+  };
+  app.get('/stream/:channelName', channelStreamRoute);
+  app.get('/stream/:channelName/:profile', channelStreamRoute);
+
+  // Legacy /stream?url support
+  app.get('/stream', async function (req, res) {
+    const u = req.query.url;
+    if (!u) {
+      res.status(400).send('Missing url parameter');
+      return;
+    }
+    const blocker = urlStreamBlocker(String(u));
+    if (blocker) {
+      incCounter('cc4c_access_denied_total', { reason: 'url stream' });
+      res.status(403).send(blocker);
+      return;
+    }
+    if (req.query.recipe && req.query.steps) {
+      res.status(400).send('Use either recipe or steps, not both');
+      return;
+    }
+    let automation = null;
+    if (req.query.recipe) {
+      const recipe = recipes[String(req.query.recipe).toLowerCase()];
+      if (!recipe) {
+        res.status(404).send('Recipe not found. Available recipes: ' + Object.keys(recipes).join(', '));
+        return;
+      }
+      automation = { name: recipe.name, steps: recipe.steps };
+    } else if (req.query.steps) {
+      const stepsBlocker = inlineStepsBlocker(String(u));
+      if (stepsBlocker) {
+        incCounter('cc4c_access_denied_total', { reason: 'inline steps' });
+        res.status(403).send(stepsBlocker);
+        return;
+      }
+      const errors = [];
+      let steps;
+      try {
+        steps = validateRecipeSteps(JSON.parse(String(req.query.steps)), 'steps', errors);
+      } catch (e) {
+        errors.push('steps: not valid JSON: ' + e.message);
+      }
+      if (errors.length > 0) {
+        res.status(400).send('Invalid steps:\n  ' + errors.join('\n  '));
+        return;
+      }
+      automation = { name: 'inline', steps: steps };
+    }
+    // Legacy mode - no channel selection
+    await handleGenericStream(req, res, u, automation);
+  });
+  // -----------------------------------------------
+
+  // ---------------- Shared Channel Captures ----------------
+  // The first request for a channel owns the capture (tab, puppeteer-stream
+  // and FFmpeg); later requests for the same channel subscribe to its output.
+  // The capture is torn down when its last viewer leaves, unless it is held
+  // for a channel switch (--zapHoldSeconds).
+  const channelCaptures = new Map();
+
+  // Every running stream by session id: channel captures and /stream?url
+  // pages. Entries have id, describe(), cleanup(reason) and currentPage()
+  // (the tab being captured, or null before there is one).
+  const sessions = new Map();
+
+  defineMetric('cc4c_active_streams', 'gauge', 'Stream slots in use', {
+    collect: function () { return [{ value: activeStreams }]; },
+  });
+  defineMetric('cc4c_max_streams', 'gauge', 'Stream slot limit', {
+    collect: function () { return [{ value: argv.tuners }]; },
+  });
+  defineMetric('cc4c_viewers', 'gauge', 'Viewers attached to each running channel capture', {
+    collect: function () {
+      return Array.from(channelCaptures.keys()).map(function (key) {
+        return { labels: { channel: key }, value: channelCaptures.get(key).viewerCount() };
+      });
+    },
+  });
+
+  // HLS segments are cut from the same MPEG-TS that /stream serves, so the
+  // capture only emits WebM when that is the configured output format.
+  function channelOutputFormat() {
+    return argv.outputFormat === 'webm' ? 'webm' : 'mpegts';
+  }
+
+  // Returns the running capture for a channel, creating it if needed. A held
+  // session (see zapHoldSeconds) is switched to the channel instead of
+  // starting a new one. The caller must join it before calling start() on a
+  // new one.
+  function getChannelCapture(channel, channelName) {
+    let capture = channelCaptures.get(channelName);
+    if (capture) {
+      console.log('[Fanout] Joining running capture:', channelName, '(viewers: ' + (capture.viewerCount() + 1) + ')');
+      return { capture: capture, isNew: false };
+    }
+
+    const held = Array.from(channelCaptures.values()).find(function (c) {
+      return c.isHeld() && c.format === channelOutputFormat();
+    });
+    if (held) {
+      // tune() re-keys the session before its first await, and the caller's
+      // join waits in pending until the new channel plays
+      held.tune(channel, channelName).catch(function () {});
+      return { capture: held, isNew: false };
+    }
+
+    capture = createChannelCapture(channel, channelName);
+    channelCaptures.set(channelName, capture);
+    return { capture: capture, isNew: true };
+  }
+
+  async function handleChannelStream(req, res, channel, channelName) {
+    const found = getChannelCapture(channel, channelName);
+    found.capture.subscribe(req, res);
+    if (found.isNew) await found.capture.start();
+  }
+
+  function createChannelCapture(channel, channelName) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const format = channelOutputFormat();
+    let provider = getProvider(channel.provider);
+    let page = null;
+    let stream = null;
+    let ffmpegProcess = null;
+    let live = false;
+    let closed = false;
+    let countedStream = false;
+    let bytesOut = 0;
+    let watchdogTimer = null;
+    let tuning = false;
+    let restarting = false;
+    // Bumped whenever the stream and FFmpeg are rebuilt after a Chrome crash
+    let generation = 0;
+    let holdTimer = null;
+    let rulesTimer = null;
+    // starting, navigating, queued, selecting, playing (see describe())
+    let phase = 'starting';
+    const openedAt = Date.now();
+    // Page rules only run while the channel is playing, never on the grid
+    let rulesActive = false;
+
+    // Viewers are sinks: { writable, ready(), fail(status, message), pinned,
+    // client }. HTTP responses, HLS segmenters and recordings all attach this
+    // way. Sinks wait in pending until playback starts (or a channel switch
+    // finishes). Pinned sinks are tied to the channel, so a session feeding one
+    // can't be switched. client ({ kind, address, since }) is what the sessions
+    // API shows for the sink; a sink with viewers of its own lists them from
+    // clients() instead.
+    const pending = new Set();
+    const attached = new Set();
+    const fanout = createStreamFanout(format, channelName);
+
+    const viewerCount = function () {
+      return pending.size + fanout.size();
+    };
+
+    const cleanup = async function (reason) {
+      if (closed) return;
+      closed = true;
+      phase = 'closed';
+      console.log('[cleanup]', reason);
+      incCounter('cc4c_captures_closed_total', { channel: channelName, reason: metricReason(reason) });
+      if (channelCaptures.get(channelName) === capture) channelCaptures.delete(channelName);
+      sessions.delete(id);
+      clearInterval(watchdogTimer);
+      clearInterval(rulesTimer);
+      clearTimeout(holdTimer);
+      holdTimer = null;
+
+      try { if (ffmpegProcess) ffmpegProcess.kill(); } catch (e) {}
+      try { if (stream) stream.destroy(); } catch (e) {}
+
+      fanout.end();
+      attached.clear();
+      pending.forEach(function (sink) {
+        try { sink.writable.end(); } catch (e) {}
+      });
+      pending.clear();
+
+      if (countedStream) {
+        countedStream = false;
+        if (activeStreams > 0) activeStreams--;
+        console.log('[Streams] Active:', activeStreams);
+        notifyStreamSlot();
+      }
+
+      await releasePage(page, reason);
+    };
+
+    // Every sink still waiting for playback gets the same error
+    const fail = async function (status, message, reason) {
+      if (!closed) incCounter('cc4c_tune_failures_total', { channel: channelName, reason: metricReason(reason) });
+      if (status === 429) incCounter('cc4c_rejections_total', { route: 'channel' }, pending.size);
+      pending.forEach(function (sink) {
+        try { sink.fail(status, message); } catch (e) {}
+      });
+      pending.clear();
+      await cleanup(reason);
+    };
+
+    const attach = function (sink) {
+      sink.ready();
+      attached.add(sink);
+      fanout.add(sink.writable, sink.discontinuity);
+    };
+
+    // The last viewer left. The tab, capture and FFmpeg keep running for
+    // --zapHoldSeconds so a request for another channel can switch this
+    // session rather than start over, which is how Plex changes channel.
+    const hold = function (reason) {
+      console.log('[Zap] Holding session ' + id + ' (' + channelName + ') for ' + argv.zapHoldSeconds + 's after ' + reason);
+      holdTimer = setTimeout(function () {
+        holdTimer = null;
+        cleanup('zap hold expired');
+      }, argv.zapHoldSeconds * 1000);
+    };
+
+    const isHeld = function () {
+      return holdTimer !== null && !closed && !restarting;
+    };
+
+    // Returns the function that detaches the sink again
+    const join = function (sink) {
+      if (holdTimer) {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+        console.log('[Zap] Reusing held session ' + id + ' (' + channelName + ')');
+      }
+      if (live && !tuning) {
+        attach(sink);
+      } else {
+        pending.add(sink);
+        if (countedStream && sink.slotted) sink.slotted();
+      }
+
+      let left = false;
+      return function leave(reason) {
+        if (left) return;
+        left = true;
+        pending.delete(sink);
+        attached.delete(sink);
+        const bytesSent = fanout.remove(sink.writable);
+        if (bytesSent !== null) observeHistogram('cc4c_session_bytes_sent', { channel: channelName }, bytesSent);
+
+        if (viewerCount() === 0) {
+          // A channel switch in progress decides once it is done (see tune())
+          if (tuning && !closed) return;
+          if (live && !closed && argv.zapHoldSeconds > 0) hold(reason);
+          else cleanup(reason);
+        } else {
+          console.log('[Fanout] Viewer left ' + channelName + ' (' + reason + '), viewers:', viewerCount());
+        }
+      };
+    };
+
+    const subscribe = function (req, res) {
+      let slate = null;
+      const sink = {
+        writable: res,
+        client: { kind: 'http', address: clientAddress(req), since: Date.now() },
+        ready: function () {
+          if (slate) {
+            // Already showing the tuning slate, the capture is spliced in
+            slate.stop();
+            slate = null;
+            sink.discontinuity = true;
+            return;
+          }
+          if (format === 'mpegts') {
+            sendTsHeaders(res);
+            return;
+          }
+          res.status(200);
+          res.setHeader('Cache-Control', 'no-store');
+          res.setHeader('Connection', 'keep-alive');
+          res.setHeader('Content-Type', encodingParams.mimeType);
+          if (res.flushHeaders) res.flushHeaders();
+        },
+        fail: function (status, message) {
+          if (slate) {
+            slate.stop();
+            slate = startErrorSlate(res, channel, message);
+            return;
+          }
+          if (!res.headersSent) res.status(status).send(message);
+        },
+        // The slate waits for a tuner slot so a full pool still answers 429.
+        // WebM can't be spliced, so only MPEG-TS viewers get one.
+        slotted: function () {
+          if (slate || res.headersSent || format !== 'mpegts' || !argv.tuningSlate) return;
+          sendTsHeaders(res);
+          slate = startTuningSlate(res, channel);
+        },
+      };
+      const leave = join(sink);
+
+      req.on('aborted', function () { leave('req aborted'); });
+      res.on('close', function () { leave('res close'); });
+      res.on('error', function (err) { leave('res error ' + err); });
+    };
+
+    const navigateAndPrep = async function () {
+      rulesActive = false;
+      phase = 'navigating';
+      await ensurePageIsActive(page);
+      await provider.navigate(page, channel);
+
+      await setWindowBounds(page);
+      await ensurePageIsActive(page);
+      await delay(200);
+    };
+
+    // The stream or FFmpeg ended. If Chrome crashed, the crash handler
+    // re-tunes the session instead, so give it a moment to notice first.
+    const pipelineLost = function (gen, crashes, reason) {
+      setTimeout(function () {
+        if (gen !== generation || closed || browserCrashes !== crashes) return;
+        cleanup(reason);
+      }, BROWSER_CRASH_GRACE_MS);
+    };
+
+    // Start capture immediately after navigation
+    const startCapture = async function () {
+      const gen = generation;
+      const crashes = browserCrashes;
+      await ensurePageIsActive(page);
+
+      const s = await getStream(page, {
+        video: true,
+        audio: true,
+        videoBitsPerSecond: encodingParams.videoBitsPerSecond,
+        audioBitsPerSecond: encodingParams.audioBitsPerSecond,
+        mimeType: encodingParams.mimeType,
+        videoConstraints: {
+          mandatory: {
+            minWidth: viewport.width,
+            minHeight: viewport.height,
+            maxWidth: viewport.width,
+            maxHeight: viewport.height,
+            minFrameRate: encodingParams.minFrameRate,
+            maxFrameRate: encodingParams.maxFrameRate,
+          },
+        },
+      });
+
+      s.on('error', function (err) {
+        console.log('Stream error:', err);
+        pipelineLost(gen, crashes, 'stream error ' + err);
+      });
+
+      s.on('end', function () {
+        console.log('Stream ended naturally');
+      });
+
+      return s;
+    };
+
+    // Feeds the capture to every viewer, through FFmpeg for MPEG-TS
+    const startOutput = function (onFirstChunk) {
+      const gen = generation;
+      const crashes = browserCrashes;
+      const feed = function (chunk) {
+        if (onFirstChunk) {
+          onFirstChunk();
+          onFirstChunk = null;
+        }
+        bytesOut += chunk.length;
+        fanout.write(chunk);
+      };
+
+      if (format === 'mpegts') {
+        // Transcode to MPEG-TS
+        ffmpegProcess = spawnMpegTsTranscoder(
+          encodingParams.audioBitsPerSecond,
+          function (err) {
+            console.error('[FFmpeg] Error:', err);
+            pipelineLost(gen, crashes, 'ffmpeg error');
+          },
+          channelName
+        );
+
+        console.log('[Stream] Piping WebM -> FFmpeg -> MPEG-TS for', channelName);
+        stream.pipe(ffmpegProcess.stdin);
+        ffmpegProcess.stdout.on('data', feed);
+        ffmpegProcess.stdout.on('end', function () { pipelineLost(gen, crashes, 'ffmpeg output ended'); });
+      } else {
+        // Direct WebM streaming
+        console.log('[Stream] Piping WebM directly for', channelName);
+        stream.on('data', feed);
+        stream.on('end', function () { pipelineLost(gen, crashes, 'stream ended'); });
+      }
+    };
+
+    // Select the channel and wait for the player. Used for the first tune and
+    // again by the watchdog to recover a stalled player.
+    const selectAndPlay = async function () {
+      phase = 'selecting';
+      console.log('[Channel] Selecting:', channelName, '(' + channel.name + ', ' + provider.name + ')');
+      const result = await selectWithStrategies(page, channel, channelName, provider);
+      if (!result.success) return result;
+
+      console.log('✅ [Channel] Playback started:', channelName, '(' + result.strategy + ')');
+      rulesActive = true;
+
+      // Fullscreen toggle after playback starts
+      try {
+        await provider.fullscreen(page, channel);
+        // Wait for fullscreen transition and stream to stabilize before minimizing
+        await delay(100);
+        await minimizeWindow(page);
+      } catch (e) {
+        console.error('[Automation] Error during fullscreen toggle:', e);
+      }
+      return result;
+    };
+
+    // Polls the player while live. Once it has looked stuck for longer than
+    // --watchdogStallSeconds, the page goes back to the browse grid and the
+    // channel is selected again; the capture and viewers stay attached.
+    const startWatchdog = function () {
+      const stallMs = argv.watchdogStallSeconds * 1000;
+      if (!(stallMs > 0)) return;
+
+      let prev = null;
+      let prevBytes = bytesOut;
+      let unhealthySince = 0;
+      let healthySince = Date.now();
+      let recoveries = 0;
+      let busy = false;
+
+      const recover = async function (problem) {
+        recoveries++;
+        console.warn('[Watchdog] ' + channelName + ' stalled (' + problem + '), recovery ' + recoveries + '/' + WATCHDOG_MAX_RECOVERIES);
+        try {
+          await navigateAndPrep();
+          const result = await selectAndPlay();
+          if (!result.success) throw new Error(result.reason);
+          console.log('[Watchdog] ' + channelName + ' recovered');
+          incCounter('cc4c_watchdog_recoveries_total', { channel: channelName, outcome: 'recovered' });
+        } catch (e) {
+          console.error('[Watchdog] ' + channelName + ' recovery failed:', e.message || e);
+          incCounter('cc4c_watchdog_recoveries_total', { channel: channelName, outcome: 'failed' });
+        }
+        // The capture kept running either way, and so do the page rules
+        phase = 'playing';
+        rulesActive = true;
+        prev = null;
+        prevBytes = bytesOut;
+        unhealthySince = 0;
+        healthySince = Date.now();
+      };
+
+      watchdogTimer = setInterval(async function () {
+        if (busy || closed || tuning) return;
+        busy = true;
+        try {
+          let cur;
+          try {
+            cur = await provider.detectErrors(page, channel);
+          } catch (e) {
+            cur = { video: false, overlay: null };
+          }
+          const problem = playbackProblem(prev, cur, bytesOut - prevBytes);
+          prev = cur;
+          prevBytes = bytesOut;
+
+          if (!problem) {
+            if (unhealthySince) {
+              unhealthySince = 0;
+              healthySince = Date.now();
+            }
+            if (recoveries > 0 && Date.now() - healthySince > WATCHDOG_HEALTHY_RESET_MS) recoveries = 0;
+            return;
+          }
+
+          if (!unhealthySince) {
+            unhealthySince = Date.now();
+            console.log('[Watchdog] ' + channelName + ': ' + problem);
+          }
+          if (Date.now() - unhealthySince < stallMs) return;
+
+          if (recoveries >= WATCHDOG_MAX_RECOVERIES) {
+            console.error('[Watchdog] ' + channelName + ' still stalled after ' + recoveries + ' recoveries, giving up');
+            await cleanup('watchdog gave up');
+            return;
+          }
+          await recover(problem);
+        } finally {
+          busy = false;
+        }
+      }, WATCHDOG_POLL_MS);
+    };
+
+    // Applies rules.json to the playing page for as long as the session runs
+    const startRules = function () {
+      const lastClick = {};
+      const reported = {};
+      let busy = false;
+
+      rulesTimer = setInterval(async function () {
+        if (busy || closed || !rulesActive) return;
+        busy = true;
+        try {
+          const rules = rulesForChannel(channelName);
+          const now = Date.now();
+          rules.click = rules.click.filter(function (c) { return !(now - lastClick[c.name] < RULES_CLICK_COOLDOWN_MS); });
+
+          let fired;
+          try {
+            fired = await applyPageRules(page, rules);
+          } catch (e) {
+            // Page is navigating; try again next pass
+            return;
+          }
+          fired.forEach(function (f) {
+            if (f.kind === 'error') {
+              if (!reported[f.rule]) console.warn('[Rules] ' + channelName + ': ' + f.detail + ' "' + f.rule + '"');
+              reported[f.rule] = true;
+              return;
+            }
+            if (f.kind === 'click') lastClick[f.rule] = now;
+            incCounter('cc4c_rules_fired_total', { kind: f.kind });
+            console.log('[Rules] ' + channelName + ': ' + f.kind + ' "' + f.rule + '" (' + f.detail + ')');
+          });
+        } finally {
+          busy = false;
+        }
+      }, RULES_POLL_MS);
+    };
+
+    const start = async function () {
+      const startedAt = Date.now();
+      incCounter('cc4c_tune_attempts_total', { channel: channelName });
+
+      let warm = false;
+      try {
+        await getCurrentBrowser();
+        page = takeWarmPage(channel);
+        warm = !!page;
+        if (!page) page = await acquirePage();
+      } catch (e) {
+        console.log('failed to start browser/page', e);
+        await fail(500, 'failed to start browser/page: ' + e, 'init failed');
+        return;
+      }
+      if (closed) return releasePage(page, 'viewers left during startup');
+
+      try {
+        // A warm tab is already sitting on the channel's start page
+        if (!warm) await navigateAndPrep();
+      } catch (e) {
+        console.log('failed to goto/setup', channel.url, e);
+        await fail(500, 'failed to goto/setup: ' + e, 'goto/setup failed');
+        return;
+      }
+      if (closed) return;
+
+      try {
+        stream = await startCapture();
+        console.log('[Capture] Stream started (early):', channelName);
+      } catch (e) {
+        console.log('failed to start early capture', e);
+        await fail(500, 'failed to start capture: ' + e, 'capture failed');
+        return;
+      }
+      if (closed) {
+        try { stream.destroy(); } catch (e) {}
+        return;
+      }
+
+      // Wait for stream slot
+      phase = 'queued';
+      const slotOk = await waitForStreamSlot(QUEUE_WAIT_MS);
+      if (!slotOk) {
+        await fail(429, 'Too many concurrent streams (timed out waiting for a slot)', 'queue timeout');
+        return;
+      }
+      if (closed) {
+        // Hand the slot we were given to the next waiter
+        notifyStreamSlot();
+        return;
+      }
+
+      activeStreams++;
+      countedStream = true;
+      console.log('[Streams] Active:', activeStreams);
+      pending.forEach(function (sink) {
+        if (sink.slotted) sink.slotted();
+      });
+
+      // Use tileClickDirect to select channel
+      try {
+        const result = await selectAndPlay();
+
+        if (result.loginRequired) {
+          console.error('[Channel] Selection failed:', result.reason);
+          await fail(NOT_LOGGED_IN_STATUS, result.reason + ' Log in at /auth and try again.', 'not logged in');
+          return;
+        }
+        if (!result.success) {
+          console.error('[Channel] Selection failed:', result.reason);
+          await fail(500, 'Failed to select channel: ' + result.reason, 'channel select failed');
+          return;
+        }
+      } catch (e) {
+        if (closed) return;
+        console.error('[Channel] Error during selection:', e);
+        await fail(500, 'Channel selection error: ' + e, 'automation failed');
+        return;
+      }
+      if (closed) return;
+
+      try {
+        startOutput(function () {
+          observeHistogram('cc4c_time_to_first_byte_seconds', { channel: channelName }, (Date.now() - startedAt) / 1000);
+        });
+
+        live = true;
+        phase = 'playing';
+        incCounter('cc4c_tune_successes_total', { channel: channelName });
+        pending.forEach(attach);
+        pending.clear();
+        startWatchdog();
+        startRules();
+      } catch (e) {
+        console.log('failed to pipe stream', e);
+        await fail(500, 'failed to pipe stream: ' + e, 'pipe failed');
+        return;
+      }
+    };
+
+    // Why this session can't switch channels right now, or null if it can
+    const tuneBlocker = function () {
+      if (closed || !live) return 'session is not playing yet';
+      if (tuning) return 'session is already switching channels';
+      if (restarting) return 'session is recovering from a browser crash';
+      const pinned = Array.from(attached).concat(Array.from(pending)).some(function (s) { return s.pinned; });
+      if (pinned) return 'session is feeding an HLS stream or a recording';
+      return null;
+    };
+
+    // Switches the running capture to another channel on the same tab. The
+    // capture, FFmpeg and attached viewers carry on; the output is marked as
+    // a discontinuity instead of starting a new container.
+    const tune = async function (nextChannel, nextName) {
+      const blocker = tuneBlocker();
+      if (blocker) throw new Error(blocker);
+
+      const from = channelName;
+      const previous = { channel: channel, provider: provider };
+      const startedAt = Date.now();
+      tuning = true;
+      clearTimeout(holdTimer);
+      holdTimer = null;
+      clearInterval(watchdogTimer);
+      // Attached viewers see nothing rather than the browse grid
+      fanout.pause();
+      if (channelCaptures.get(from) === capture) channelCaptures.delete(from);
+      channelCaptures.set(nextName, capture);
+      channel = nextChannel;
+      channelName = nextName;
+      provider = getProvider(channel.provider);
+      fanout.relabel(nextName);
+      console.log('[Zap] Session ' + id + ': ' + from + ' -> ' + nextName);
+
+      let result;
+      try {
+        await navigateAndPrep();
+        result = await selectAndPlay();
+      } catch (e) {
+        result = { success: false, reason: String(e.message || e) };
+      }
+      if (closed) {
+        tuning = false;
+        throw new Error('session closed while switching channels');
+      }
+
+      if (!result.success) {
+        console.error('[Zap] Switching to ' + nextName + ' failed:', result.reason);
+        incCounter('cc4c_zaps_total', { outcome: 'failed' });
+        // Only the viewers waiting for the new channel get the error
+        const status = result.loginRequired ? NOT_LOGGED_IN_STATUS : 500;
+        pending.forEach(function (sink) {
+          try { sink.fail(status, 'Failed to switch channel: ' + result.reason); } catch (e) {}
+        });
+        pending.clear();
+        await switchBack(from, previous, nextName);
+        throw new Error(result.reason);
+      }
+
+      tuning = false;
+      resumeAfterSwitch();
+      incCounter('cc4c_zaps_total', { outcome: 'switched' });
+      console.log('[Zap] Session ' + id + ' playing ' + nextName + ' after ' + ((Date.now() - startedAt) / 1000).toFixed(1) + 's');
+    };
+
+    // A failed switch goes back to the channel the attached viewers were
+    // watching. With nobody left, or the old channel taken by another
+    // session in the meantime, the session ends instead.
+    const switchBack = async function (from, previous, failedName) {
+      if (channelCaptures.get(failedName) === capture) channelCaptures.delete(failedName);
+      channel = previous.channel;
+      channelName = from;
+      provider = previous.provider;
+      fanout.relabel(from);
+      const taken = channelCaptures.get(from);
+      if (viewerCount() === 0 || (taken && taken !== capture)) {
+        tuning = false;
+        await cleanup('zap failed');
+        return;
+      }
+      channelCaptures.set(from, capture);
+      console.log('[Zap] Session ' + id + ': going back to ' + from);
+
+      let result;
+      try {
+        await navigateAndPrep();
+        result = await selectAndPlay();
+      } catch (e) {
+        result = { success: false, reason: String(e.message || e) };
+      }
+      tuning = false;
+      if (closed) return;
+      if (!result.success) {
+        console.error('[Zap] Session ' + id + ' could not go back to ' + from + ':', result.reason);
+        await cleanup('zap failed');
+        return;
+      }
+      console.log('[Zap] Session ' + id + ' back on ' + from);
+      resumeAfterSwitch();
+    };
+
+    const resumeAfterSwitch = function () {
+      phase = 'playing';
+      fanout.resume();
+      pending.forEach(attach);
+      pending.clear();
+      startWatchdog();
+      // Everyone may have left while the channel was switching
+      if (viewerCount() === 0) {
+        if (argv.zapHoldSeconds > 0) hold('switch with no viewers');
+        else cleanup('switch with no viewers');
+      }
+    };
+
+    // Chrome crashed under this session. A playing MPEG-TS session gets a new
+    // tab in the relaunched browser, the same channel and a new FFmpeg into
+    // the same fan-out, so viewers stay connected and see a discontinuity.
+    // WebM can't be spliced, and a session that wasn't playing yet has
+    // nothing to resume, so those end.
+    const recover = async function () {
+      // A channel switch in progress fails and cleans up on its own
+      if (closed || tuning) return;
+      if (!live) {
+        await fail(503, 'Chrome crashed while tuning ' + channel.name, 'browser crashed');
+        return;
+      }
+      if (isHeld() || format !== 'mpegts') {
+        await cleanup('browser crashed');
+        return;
+      }
+
+      const startedAt = Date.now();
+      generation++;
+      restarting = true;
+      clearInterval(watchdogTimer);
+      try { if (ffmpegProcess) ffmpegProcess.kill(); } catch (e) {}
+      try { if (stream) stream.destroy(); } catch (e) {}
+      ffmpegProcess = null;
+      stream = null;
+      const deadPage = page;
+      page = null;
+      await releasePage(deadPage);
+      console.log('[Browser] Re-tuning ' + channelName + ' (session ' + id + ')');
+
+      let result;
+      try {
+        page = await acquirePage();
+        if (closed) return releasePage(page);
+        await navigateAndPrep();
+        stream = await startCapture();
+        if (closed) {
+          stream.destroy();
+          return;
+        }
+        result = await selectAndPlay();
+      } catch (e) {
+        result = { success: false, reason: String(e.message || e) };
+      }
+      restarting = false;
+      if (closed) return;
+
+      if (!result.success) {
+        console.error('[Browser] Could not re-tune ' + channelName + ':', result.reason);
+        incCounter('cc4c_crash_recoveries_total', { outcome: 'failed' });
+        await cleanup('crash recovery failed');
+        return;
+      }
+
+      startOutput();
+      fanout.markDiscontinuity();
+      phase = 'playing';
+      pending.forEach(attach);
+      pending.clear();
+      startWatchdog();
+      incCounter('cc4c_crash_recoveries_total', { outcome: 'recovered' });
+      console.log('[Browser] ' + channelName + ' (session ' + id + ') playing again after ' + ((Date.now() - startedAt) / 1000).toFixed(1) + 's');
+    };
+
+    const describe = function () {
+      const clients = [];
+      attached.forEach(function (s) { clients.push.apply(clients, s.clients ? s.clients() : [s.client]); });
+      pending.forEach(function (s) { clients.push.apply(clients, s.clients ? s.clients() : [s.client]); });
+      return {
+        id: id,
+        kind: 'channel',
+        channel: channelName,
+        name: channel.name,
+        provider: provider.name,
+        clients: clients.filter(Boolean).map(function (c) {
+          return { kind: c.kind, address: c.address || null, since: new Date(c.since).toISOString() };
+        }),
+        viewers: viewerCount(),
+        startedAt: new Date(openedAt).toISOString(),
+        phase: isHeld() ? 'held' : (restarting ? 'restarting' : (tuning ? 'switching' : phase)),
+        bytesOut: bytesOut,
+        ffmpegPid: ffmpegProcess && ffmpegProcess.process.pid || null,
+        live: live,
+        tuning: tuning,
+        held: isHeld(),
+      };
+    };
+
+    const capture = {
+      id: id,
+      format: format,
+      start: start,
+      join: join,
+      subscribe: subscribe,
+      viewerCount: viewerCount,
+      cleanup: cleanup,
+      isHeld: isHeld,
+      tuneBlocker: tuneBlocker,
+      tune: tune,
+      recover: recover,
+      describe: describe,
+      currentPage: function () { return page; },
+    };
+    sessions.set(id, capture);
+    return capture;
+  }
+
+  function findCapture(id) {
+    return Array.from(channelCaptures.values()).find(function (c) { return c.id === id; });
+  }
+
+  app.get('/api/sessions', function (req, res) {
+    res.json(Array.from(sessions.values()).map(function (s) { return s.describe(); }));
   });
 
-  app.get('/playlist.m3u', function (req, res) {
-    const host = req.get('host');
-    const protocol = req.protocol;
-    const m3u = '#EXTM3U\n\n' +
-      Object.keys(CHANNELS).sort(function (a, b) {
-        return CHANNELS[a].number - CHANNELS[b].number;
-      }).map(function (k) {
-        const ch = CHANNELS[k];
-        return '#EXTINF:-1 channel-id="kayo-' + k + '" tvg-chno="' + ch.number + '" tvg-name="' + ch.name + '",' + ch.name + '\n' +
-               protocol + '://' + host + '/stream/' + k;
-      }).join('\n\n');
+  // Stops a session the same way its last viewer leaving would, without the
+  // zap hold. Its viewers' connections are closed.
+  app.delete('/api/sessions/:id', async function (req, res) {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      res.status(404).json({ errors: ['no session ' + req.params.id] });
+      return;
+    }
+    console.log('[Sessions] Stopping session ' + session.id + ' via API');
+    await session.cleanup('stopped via api');
+    res.json(session.describe());
+  });
 
-    res.setHeader('Content-Type', 'application/x-mpegurl');
-    res.send(m3u);
+  // ---------------- Snapshots ----------------
+  // Newest thumbnail per channel, { data, takenAt }. It outlives the capture
+  // so a stopped channel still shows what it last looked like.
+  const channelThumbnails = new Map();
+  const thumbnailGrabs = new Map();
+
+  // Full-size grab of what the session's tab shows right now; ?width= scales
+  // it down
+  app.get('/api/sessions/:id/snapshot.jpg', async function (req, res) {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      res.status(404).json({ errors: ['no session ' + req.params.id] });
+      return;
+    }
+    const width = req.query.width === undefined ? null : Number(req.query.width);
+    if (width !== null && (!Number.isInteger(width) || width < 16 || width > 3840)) {
+      res.status(400).json({ errors: ['width must be a whole number of pixels from 16 to 3840'] });
+      return;
+    }
+    const page = session.currentPage();
+    if (!page || page.isClosed()) {
+      res.status(409).json({ errors: ['session ' + session.id + ' has no tab yet'] });
+      return;
+    }
+    try {
+      const data = await pageSnapshot(page, width);
+      res.setHeader('Content-Type', 'image/jpeg');
+      res.setHeader('Cache-Control', 'no-store');
+      res.send(data);
+    } catch (e) {
+      console.log('[Snapshot] Session ' + session.id + ' failed:', e.message || e);
+      res.status(500).json({ errors: ['snapshot failed: ' + (e.message || e)] });
+    }
+  });
+
+  // One grab at a time per channel, however many pages are asking
+  function refreshThumbnail(key, page) {
+    if (!thumbnailGrabs.has(key)) {
+      thumbnailGrabs.set(key, pageSnapshot(page, THUMBNAIL_WIDTH).then(function (data) {
+        channelThumbnails.set(key, { data: data, takenAt: Date.now() });
+      }).catch(function (e) {
+        console.log('[Snapshot] Thumbnail for ' + key + ' failed:', e.message || e);
+      }).finally(function () {
+        thumbnailGrabs.delete(key);
+      }));
+    }
+    return thumbnailGrabs.get(key);
+  }
+
+  // A fresh frame while the channel plays (at most THUMBNAIL_MAX_AGE_MS old),
+  // otherwise the last one taken
+  app.get('/api/channels/:key/thumbnail.jpg', async function (req, res) {
+    const key = req.params.key.toLowerCase();
+    if (!CHANNELS[key] && !channelThumbnails.has(key)) {
+      res.status(404).json({ errors: ['unknown channel "' + key + '"'] });
+      return;
+    }
+    const capture = channelCaptures.get(key);
+    const state = capture ? capture.describe() : null;
+    const page = state && state.live && !state.tuning && state.phase !== 'restarting' ? capture.currentPage() : null;
+    const cached = channelThumbnails.get(key);
+    if (page && !page.isClosed() && (!cached || Date.now() - cached.takenAt > THUMBNAIL_MAX_AGE_MS)) {
+      await refreshThumbnail(key, page);
+    }
+
+    const thumbnail = channelThumbnails.get(key);
+    if (!thumbnail) {
+      res.status(404).json({ errors: ['no thumbnail for ' + key + ' yet, it is taken while the channel plays'] });
+      return;
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Last-Modified', new Date(thumbnail.takenAt).toUTCString());
+    res.send(thumbnail.data);
+  });
+  // -----------------------------------------------------------
+
+  // Switches a running session to another channel without closing its tab,
+  // capture or FFmpeg; its viewers stay connected. Body: { "channel": "footy" }
+  app.post('/api/sessions/:id/tune', async function (req, res) {
+    const capture = findCapture(req.params.id);
+    if (!capture) {
+      res.status(404).json({ errors: ['no session ' + req.params.id] });
+      return;
+    }
+
+    const channelName = String((req.body && req.body.channel) || req.query.channel || '').toLowerCase();
+    const channel = CHANNELS[channelName];
+    if (!channel) {
+      res.status(404).json({ errors: ['unknown channel "' + channelName + '"'] });
+      return;
+    }
+
+    const current = channelCaptures.get(channelName);
+    if (current === capture) {
+      res.json(capture.describe());
+      return;
+    }
+    if (current) {
+      res.status(409).json({ errors: [channelName + ' is already playing in session ' + current.id] });
+      return;
+    }
+    const blocker = capture.tuneBlocker();
+    if (blocker) {
+      res.status(409).json({ errors: [blocker] });
+      return;
+    }
+
+    try {
+      await capture.tune(channel, channelName);
+      res.json(capture.describe());
+    } catch (e) {
+      res.status(500).json({ errors: ['failed to switch channel: ' + e.message] });
+    }
+  });
+  // ---------------------------------------------------
+
+  // ---------------- Browser Crash Recovery ----------------
+  // Relaunches Chrome when it dies on its own and re-tunes the channel
+  // sessions that were running (see recover() in createChannelCapture).
+  // /stream?url pages end with their stream. A Chrome that keeps crashing is
+  // given up on after CRASH_MAX_RELAUNCHES in CRASH_WINDOW_MS, until the next
+  // request launches it again.
+  const CRASH_WINDOW_MS = 5 * 60 * 1000;
+  const CRASH_MAX_RELAUNCHES = 3;
+  let recentCrashes = [];
+
+  browserEvents.on('crash', async function () {
+    if (shuttingDown) return;
+    const now = Date.now();
+    recentCrashes = recentCrashes.filter(function (t) { return now - t < CRASH_WINDOW_MS; });
+    recentCrashes.push(now);
+
+    // Every tab went with it
+    warmPages.slice().forEach(function (entry) { dropWarmPage(entry); });
+    const captures = Array.from(channelCaptures.values());
+
+    if (recentCrashes.length > CRASH_MAX_RELAUNCHES) {
+      console.error('[Browser] Chrome crashed ' + recentCrashes.length + ' times in ' + (CRASH_WINDOW_MS / 60000) + ' min, not relaunching it');
+      captures.forEach(function (c) { c.cleanup('browser crashed repeatedly'); });
+      return;
+    }
+    if (captures.length === 0 && !(argv.warmPool > 0)) {
+      console.log('[Browser] Nothing was streaming, Chrome starts again with the next stream');
+      return;
+    }
+
+    console.log('[Browser] Relaunching Chrome (restart ' + browserCrashes + '), ' + captures.length + ' session(s) to re-tune');
+    const startedAt = Date.now();
+    try {
+      await getCurrentBrowser();
+    } catch (e) {
+      console.error('[Browser] Relaunch failed:', e.message || e);
+      captures.forEach(function (c) { c.cleanup('browser relaunch failed'); });
+      return;
+    }
+    console.log('[Browser] Chrome relaunched in ' + ((Date.now() - startedAt) / 1000).toFixed(1) + 's');
+
+    await Promise.all(captures.map(function (c) {
+      return c.recover().catch(function (e) {
+        console.error('[Browser] Recovering session ' + c.id + ' failed:', e.message || e);
+      });
+    }));
+    fillWarmPool();
   });
+  // ---------------------------------------------------
+
+  // ---------------- HLS Sessions ----------------
+  // /hls/:channelName/index.m3u8 starts an FFmpeg segmenter that joins the
+  // channel's shared capture like any other viewer. The session stops once no
+  // segment has been requested for hlsIdleTimeout seconds.
+  const HLS_SEGMENT_SECONDS = 4;
+  const HLS_LIST_SIZE = 6;
+  const HLS_READY_TIMEOUT_MS = 180000;
+  const HLS_IDLE_CHECK_MS = 5000;
+  const HLS_SEGMENT_RE = /^seg\d+\.ts$/;
+  const hlsRoot = path.join(dataDir, 'hls');
+  const hlsSessions = new Map();
+
+  function createHlsSession(channel, channelName) {
+    const dir = path.join(hlsRoot, channelName);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    const session = {
+      dir: dir,
+      playlistPath: path.join(dir, 'index.m3u8'),
+      readyAt: 0,
+      lastSegmentAt: 0,
+      error: null,
+      stopped: false,
+      // Shown in the sessions API with whoever fetched the last segment
+      client: { kind: 'hls', address: null, since: Date.now() },
+    };
+    let leave = null;
+    let idleTimer = null;
+
+    const stop = function (reason) {
+      if (session.stopped) return;
+      session.stopped = true;
+      if (hlsSessions.get(channelName) === session) hlsSessions.delete(channelName);
+      clearInterval(idleTimer);
+      console.log('[HLS] Stopped ' + channelName + ':', reason);
+
+      segmenter.kill();
+      if (leave) leave('hls ' + reason);
+      fs.promises.rm(dir, { recursive: true, force: true }).catch(function () {});
+    };
+    session.stop = stop;
+
+    const found = getChannelCapture(channel, channelName);
+    const segmenter = spawnMpegTsTranscoder(
+      encodingParams.audioBitsPerSecond,
+      function (err) {
+        console.error('[HLS] FFmpeg error:', err);
+        session.error = { status: 500, message: 'HLS segmenter failed: ' + err.message };
+        stop('ffmpeg error');
+      },
+      'hls:' + channelName,
+      { dir: dir, segmentSeconds: HLS_SEGMENT_SECONDS, listSize: HLS_LIST_SIZE },
+      null,
+      found.capture.format === 'mpegts'
+    );
+    // A dead segmenter reports itself through the exit handler
+    segmenter.stdin.on('error', function () {});
+    segmenter.process.on('exit', function () { stop('segmenter exited'); });
+
+    leave = found.capture.join({
+      writable: segmenter.stdin,
+      pinned: true,
+      client: session.client,
+      ready: function () {
+        console.log('[HLS] Segmenting', channelName, 'into', dir);
+      },
+      fail: function (status, message) {
+        session.error = { status: status, message: message };
+        stop('capture failed');
+      },
+    });
+    if (found.isNew) found.capture.start();
+
+    // The idle clock only starts once the first playlist has been written,
+    // tuning alone can take longer than the timeout.
+    idleTimer = setInterval(function () {
+      if (!session.readyAt) {
+        if (fs.existsSync(session.playlistPath)) session.readyAt = Date.now();
+        return;
+      }
+      const lastActivity = Math.max(session.readyAt, session.lastSegmentAt);
+      if (Date.now() - lastActivity > argv.hlsIdleTimeout * 1000) stop('idle');
+    }, HLS_IDLE_CHECK_MS);
+
+    console.log('[HLS] Starting session for', channelName);
+    return session;
+  }
+
+  app.get('/hls/:channelName/index.m3u8', async function (req, res) {
+    const channelName = req.params.channelName.toLowerCase();
+    const channel = CHANNELS[channelName];
+
+    if (!channel) {
+      res.status(404).send('Channel not found. Available channels: ' + Object.keys(CHANNELS).join(', '));
+      return;
+    }
+
+    let session = hlsSessions.get(channelName);
+    if (!session) {
+      try {
+        session = createHlsSession(channel, channelName);
+        hlsSessions.set(channelName, session);
+      } catch (e) {
+        console.log('failed to start HLS session', e);
+        res.status(500).send('failed to start HLS session: ' + e);
+        return;
+      }
+    }
 
-  // Individual channel streaming endpoint
-  app.get('/stream/:channelName', async function (req, res) {
-    const channelName = req.params.channelName.toLowerCase();
-    const channel = CHANNELS[channelName];
+    const deadline = Date.now() + HLS_READY_TIMEOUT_MS;
+    while (!session.stopped && !fs.existsSync(session.playlistPath)) {
+      if (Date.now() > deadline) {
+        res.status(504).send('Timed out waiting for the HLS playlist');
+        return;
+      }
+      await delay(500);
+    }
 
-    if (!channel) {
-      res.status(404).send('Channel not found. Available channels: ' + Object.keys(CHANNELS).join(', '));
+    if (session.stopped) {
+      const err = session.error || { status: 503, message: 'HLS session stopped' };
+      res.status(err.status).send(err.message);
       return;
     }
 
-    await handleChannelStream(req, res, channel, channelName);
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-store');
+    if (!argv.streamToken) {
+      res.sendFile(session.playlistPath);
+      return;
+    }
+    // Segment URIs are relative, so they need the token as well
+    const playlist = await fs.promises.readFile(session.playlistPath, 'utf8');
+    res.send(playlist.replace(/^seg\d+\.ts$/gm, withStreamToken));
   });
 
-  // Legacy /stream?url support
-  app.get('/stream', async function (req, res) {
-    const u = req.query.url;
-    if (!u) {
-      res.status(400).send('Missing url parameter');
+  app.get('/hls/:channelName/:segment', function (req, res) {
+    const session = hlsSessions.get(req.params.channelName.toLowerCase());
+    if (!session || !HLS_SEGMENT_RE.test(req.params.segment)) {
+      res.status(404).send('Segment not found');
       return;
     }
-    // Legacy mode - no channel selection
-    await handleGenericStream(req, res, u);
+
+    session.lastSegmentAt = Date.now();
+    session.client.address = clientAddress(req);
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.sendFile(path.join(session.dir, req.params.segment), function (err) {
+      if (err && !res.headersSent) res.status(404).send('Segment not found');
+    });
   });
-  // -----------------------------------------------
+  // ---------------------------------------------------
+
+  // ---------------- Profile Encodes ----------------
+  // Any profile but copy gets one FFmpeg per channel and profile. It joins the
+  // channel's shared capture like any other viewer, re-encodes it, and fans
+  // its MPEG-TS out to everyone asking for that pair. It stops when its last
+  // viewer leaves.
+  const profileEncodes = new Map();
+
+  function createProfileEncode(channel, channelName, profile) {
+    const key = channelName + '/' + profile.name;
+    const fanout = createStreamFanout('mpegts', key);
+    const pending = new Set();
+    // Viewer clients, reported through the capture's sessions API entry
+    const clients = new Set();
+    let ready = false;
+    // Whether the capture holds a tuner slot yet, the slate waits for one
+    let slotted = false;
+    let stopped = false;
+    let leave = null;
+
+    const failPending = function (status, message) {
+      pending.forEach(function (viewer) { viewer.fail(status, message); });
+      pending.clear();
+    };
 
-  async function runKayoFullscreenToggle(page) {
-    console.log('[Automation] Requesting fullscreen via browser API...');
+    const stop = function (reason) {
+      if (stopped) return;
+      stopped = true;
+      if (profileEncodes.get(key) === encode) profileEncodes.delete(key);
+      console.log('[Profile] Stopped ' + key + ':', reason);
 
-    const success = await page.evaluate(function () {
-      try {
-        // Request fullscreen on the video element if available, otherwise on document
-        const video = document.querySelector('video');
-        const target = video || document.documentElement;
-        
-        if (target.requestFullscreen) {
-          target.requestFullscreen();
-          return true;
-        } else if (target.webkitRequestFullscreen) {
-          // Safari fallback
-          target.webkitRequestFullscreen();
-          return true;
-        }
-        return false;
-      } catch (e) {
-        console.error('Fullscreen request error:', e);
-        return false;
+      encoder.kill();
+      if (leave) leave('profile ' + reason);
+      failPending(503, 'Profile encode stopped: ' + reason);
+      fanout.end();
+    };
+
+    const found = getChannelCapture(channel, channelName);
+    const aacInput = found.capture.format === 'mpegts';
+    console.log('[Profile] Starting ' + key + ': ffmpeg ' + transcoderArgs(encodingParams.audioBitsPerSecond, null, profile, aacInput).join(' '));
+    const encoder = spawnMpegTsTranscoder(
+      encodingParams.audioBitsPerSecond,
+      function (err) {
+        console.error('[Profile] FFmpeg error (' + key + '):', err);
+        failPending(500, 'Profile encode failed: ' + err.message);
+        stop('ffmpeg error');
+      },
+      'profile:' + key,
+      null,
+      profile,
+      aacInput
+    );
+    // A dead encoder reports itself through the exit handler
+    encoder.stdin.on('error', function () {});
+    encoder.process.on('exit', function () { stop('encoder exited'); });
+    encoder.stdout.on('data', function (chunk) { fanout.write(chunk); });
+
+    const subscribe = function (req, res) {
+      let slate = null;
+      const client = { kind: 'profile ' + profile.name, address: clientAddress(req), since: Date.now() };
+      clients.add(client);
+      const viewer = {
+        start: function () {
+          if (slate) {
+            slate.stop();
+            slate = null;
+            fanout.add(res, true);
+            return;
+          }
+          sendTsHeaders(res);
+          fanout.add(res);
+        },
+        fail: function (status, message) {
+          if (slate) {
+            slate.stop();
+            slate = startErrorSlate(res, channel, message);
+            return;
+          }
+          if (!res.headersSent) res.status(status).send(message);
+        },
+        slotted: function () {
+          if (slate || res.headersSent || !argv.tuningSlate) return;
+          sendTsHeaders(res);
+          slate = startTuningSlate(res, channel);
+        },
+      };
+      if (ready) {
+        viewer.start();
+      } else {
+        pending.add(viewer);
+        if (slotted) viewer.slotted();
       }
+
+      let left = false;
+      const onLeave = function (reason) {
+        if (left) return;
+        left = true;
+        pending.delete(viewer);
+        clients.delete(client);
+        const bytesSent = fanout.remove(res);
+        if (bytesSent !== null) observeHistogram('cc4c_session_bytes_sent', { channel: channelName }, bytesSent);
+        if (pending.size + fanout.size() === 0) stop('no viewers (' + reason + ')');
+      };
+      req.on('aborted', function () { onLeave('req aborted'); });
+      res.on('close', function () { onLeave('res close'); });
+      res.on('error', function (err) { onLeave('res error ' + err); });
+    };
+
+    const encode = { subscribe: subscribe, stop: stop };
+
+    leave = found.capture.join({
+      writable: encoder.stdin,
+      pinned: true,
+      clients: function () { return Array.from(clients); },
+      ready: function () {
+        ready = true;
+        pending.forEach(function (viewer) { viewer.start(); });
+        pending.clear();
+      },
+      slotted: function () {
+        slotted = true;
+        pending.forEach(function (viewer) { viewer.slotted(); });
+      },
+      fail: function (status, message) {
+        failPending(status, message);
+        stop('capture failed');
+      },
     });
+    if (found.isNew) found.capture.start();
 
-    if (success) {
-      console.log('✅ Fullscreen requested via browser API');
-    } else {
-      console.log('❌ Fullscreen API not available');
+    return encode;
+  }
+
+  function handleProfileStream(req, res, channel, channelName, profile) {
+    const key = channelName + '/' + profile.name;
+    let encode = profileEncodes.get(key);
+    if (!encode) {
+      try {
+        encode = createProfileEncode(channel, channelName, profile);
+        profileEncodes.set(key, encode);
+      } catch (e) {
+        console.log('failed to start profile encode', e);
+        res.status(500).send('failed to start ' + profile.name + ' encode: ' + e);
+        return;
+      }
     }
-    
-    return success;
+    encode.subscribe(req, res);
   }
+  // ---------------------------------------------------
 
-  async function verifyFullscreen(page) {
-    // Give it a moment to transition
-    await delay(300);
-    
-    const isFullscreen = await page.evaluate(function () {
-      return !!(document.fullscreenElement || 
-                document.webkitFullscreenElement || 
-                document.mozFullScreenElement ||
-                document.msFullscreenElement);
+  // ---------------- Recordings (DVR) ----------------
+  // Jobs live in recordings.json so they survive restarts. A due job joins the
+  // channel's shared capture with a file as its sink, so it tunes exactly like
+  // /stream/:channelName and takes a stream slot the same way.
+  const RECORDINGS_FILE = path.join(dataDir, 'recordings.json');
+  const RECORDING_CHECK_MS = 5000;
+  const RECORDING_MAX_MINUTES = 24 * 60;
+  const recordingsDir = argv.recordingsDir ? path.resolve(argv.recordingsDir) : path.join(dataDir, 'recordings');
+  const activeRecordings = new Map();
+  let recordings = [];
+
+  function loadRecordings() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(RECORDINGS_FILE, 'utf8'));
+      recordings = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error('[DVR] Could not read', RECORDINGS_FILE + ':', e.message);
+      recordings = [];
+    }
+
+    // Anything that was recording when we went down can't be resumed into the
+    // same file; start it again if there's time left, otherwise report it.
+    recordings.forEach(function (job) {
+      if (job.status !== 'recording') return;
+      if (Date.parse(job.end) > Date.now()) {
+        console.log('[DVR] Recording', job.id, 'was interrupted by a restart, recording the rest to a new file');
+        job.status = 'scheduled';
+      } else {
+        job.status = 'failed';
+        job.error = 'Interrupted by restart';
+      }
     });
+    saveRecordings();
+    console.log('[DVR] Loaded', recordings.length, 'recording jobs, saving to', recordingsDir);
+  }
 
-    if (isFullscreen) {
-      console.log('[Automation] Fullscreen verified ✓');
-    } else {
-      console.log('[Automation] Fullscreen verification failed');
+  function saveRecordings() {
+    try {
+      fs.writeFileSync(RECORDINGS_FILE + '.tmp', JSON.stringify(recordings, null, 2));
+      fs.renameSync(RECORDINGS_FILE + '.tmp', RECORDINGS_FILE);
+    } catch (e) {
+      console.error('[DVR] Failed to save jobs:', e.message);
     }
-    
-    return isFullscreen;
   }
 
-  async function handleChannelStream(req, res, channel, channelName) {
-    let page = null;
-    let stream = null;
-    let ffmpegProcess = null;
-
-    const cleanup = async function (reason) {
-      if (cleanup._done) return;
-      cleanup._done = true;
-      console.log('[cleanup]', reason);
-
-      try { if (ffmpegProcess) ffmpegProcess.kill(); } catch (e) {}
-      try { if (stream) stream.destroy(); } catch (e) {}
+  function recordingFileName(job, channel, format) {
+    const d = new Date();
+    const pad = function (n) { return String(n).padStart(2, '0'); };
+    const stamp = d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + ' ' + pad(d.getHours()) + pad(d.getMinutes());
+    const title = (job.title || channel.name).replace(/[\\/:*?"<>|]+/g, '_').trim();
+    return title + ' ' + stamp + ' ' + job.id + (format === 'mpegts' ? '.ts' : '.webm');
+  }
 
-      if (cleanup._countedStream) {
-        cleanup._countedStream = false;
-        if (activeStreams > 0) activeStreams--;
-        console.log('[Streams] Active:', activeStreams);
-        notifyStreamSlot();
+  function finishRecording(job, status, error) {
+    const active = activeRecordings.get(job.id);
+    if (!active) return;
+    activeRecordings.delete(job.id);
+    clearTimeout(active.timer);
+
+    job.status = status;
+    job.endedAt = new Date().toISOString();
+    if (error) job.error = error;
+
+    active.leave('recording ' + status);
+    active.file.end(function () {
+      job.bytes = active.file.bytesWritten;
+      // Don't leave empty files behind for tunes that never started
+      if (!job.bytes && job.file) {
+        fs.unlink(job.file, function () {});
+        job.file = null;
       }
+      saveRecordings();
 
-      await releasePage(page, reason);
-    };
-    cleanup._done = false;
-    cleanup._countedStream = false;
+      if (status === 'failed') {
+        console.error('[DVR] Recording', job.id, 'failed:', error);
+      } else {
+        console.log('[DVR] Recording', job.id, status + ':', job.file, '(' + job.bytes + ' bytes)');
+      }
+    });
+  }
 
-    req.on('aborted', function () { cleanup('req aborted'); });
-    res.on('close', function () { cleanup('res close'); });
-    res.on('error', function (err) { cleanup('res error ' + err); });
+  // Closes the files of running recordings for a shutdown. The jobs stay
+  // marked as recording, so the next start records the rest (see
+  // loadRecordings).
+  function stopRecordings() {
+    return Promise.all(Array.from(activeRecordings.keys()).map(function (id) {
+      const active = activeRecordings.get(id);
+      const job = recordings.find(function (j) { return j.id === id; });
+      activeRecordings.delete(id);
+      clearTimeout(active.timer);
+      active.leave('shutting down');
+      return new Promise(function (resolve) {
+        active.file.end(function () {
+          if (job) job.bytes = active.file.bytesWritten;
+          console.log('[DVR] Recording', id, 'stopped for shutdown');
+          resolve();
+        });
+      });
+    })).then(saveRecordings);
+  }
 
-    try {
-      await getCurrentBrowser();
-      page = await acquirePage();
-    } catch (e) {
-      console.log('failed to start browser/page', e);
-      res.status(500).send('failed to start browser/page: ' + e);
-      await cleanup('init failed');
+  function startRecording(job) {
+    const channel = CHANNELS[job.channel];
+    if (!channel) {
+      job.status = 'failed';
+      job.error = 'Channel "' + job.channel + '" is no longer in the lineup';
+      saveRecordings();
+      console.error('[DVR] Recording', job.id, 'failed:', job.error);
       return;
     }
 
-    const navigateAndPrep = async function () {
-      await ensurePageIsActive(page);
-      await page.goto(channel.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    try {
+      fs.mkdirSync(recordingsDir, { recursive: true });
+    } catch (e) {}
 
-      await setWindowBounds(page);
-      await ensurePageIsActive(page);
+    // A held session being reused keeps the format it was started with
+    const found = getChannelCapture(channel, job.channel);
+    job.file = path.join(recordingsDir, recordingFileName(job, channel, found.capture.format));
+    job.status = 'recording';
+    job.startedAt = new Date().toISOString();
+    job.error = null;
+    saveRecordings();
 
-      // Apply view scale for Kayo
-      await setChromeViewScale(page, 0.25);
-      await ensurePageIsActive(page);
-      await delay(200);
-    };
+    const file = fs.createWriteStream(job.file);
+    const active = { file: file, leave: function () {}, timer: null };
+    activeRecordings.set(job.id, active);
 
-    try {
-      await navigateAndPrep();
-    } catch (e) {
-      console.log('failed to goto/setup', channel.url, e);
-      res.status(500).send('failed to goto/setup: ' + e);
-      await cleanup('goto/setup failed');
-      return;
-    }
+    file.on('error', function (err) {
+      finishRecording(job, 'failed', 'Write error: ' + err.message);
+    });
+    // The capture ends its sinks when it dies, which is early for us
+    file.on('finish', function () {
+      finishRecording(job, 'failed', 'Capture ended before the recording finished');
+    });
 
-    // Start capture immediately after navigation
-    const startCapture = async function () {
-      await ensurePageIsActive(page);
+    console.log('[DVR] Recording', job.id, channel.name, 'until', job.end, '->', job.file);
 
-      const s = await getStream(page, {
-        video: true,
-        audio: true,
-        videoBitsPerSecond: encodingParams.videoBitsPerSecond,
-        audioBitsPerSecond: encodingParams.audioBitsPerSecond,
-        mimeType: encodingParams.mimeType,
-        videoConstraints: {
-          mandatory: {
-            minWidth: viewport.width,
-            minHeight: viewport.height,
-            maxWidth: viewport.width,
-            maxHeight: viewport.height,
-            minFrameRate: encodingParams.minFrameRate,
-            maxFrameRate: encodingParams.maxFrameRate,
-          },
-        },
-      });
+    active.leave = found.capture.join({
+      writable: file,
+      pinned: true,
+      client: { kind: 'recording', address: null, since: Date.now() },
+      ready: function () {
+        console.log('[DVR] Recording', job.id, 'is receiving data');
+      },
+      fail: function (status, message) {
+        finishRecording(job, 'failed', message + ' (HTTP ' + status + ')');
+      },
+    });
+    if (found.isNew) found.capture.start();
 
-      s.on('error', function (err) {
-        console.log('Stream error:', err);
-        cleanup('stream error ' + err);
-      });
+    active.timer = setTimeout(function () {
+      finishRecording(job, 'completed');
+    }, Math.max(0, Date.parse(job.end) - Date.now()));
+  }
 
-      s.on('end', function () {
-        console.log('Stream ended naturally');
-      });
+  function checkRecordings() {
+    if (shuttingDown) return;
+    const now = Date.now();
+    recordings.forEach(function (job) {
+      if (job.status !== 'scheduled') return;
+      if (Date.parse(job.end) <= now) {
+        job.status = 'failed';
+        job.error = 'Missed, the scheduled time passed while cc4c was not running';
+        saveRecordings();
+        console.error('[DVR] Recording', job.id, 'failed:', job.error);
+      } else if (Date.parse(job.start) <= now) {
+        startRecording(job);
+      }
+    });
+  }
 
-      return s;
-    };
+  function parseRecordingRequest(body) {
+    const errors = [];
+    const channelKey = String(body.channel || '').toLowerCase();
+    if (!CHANNELS[channelKey]) errors.push('channel must be one of: ' + Object.keys(CHANNELS).join(', '));
 
-    try {
-      stream = await startCapture();
-      console.log('[Capture] Stream started (early):', channelName);
-    } catch (e) {
-      console.log('failed to start early capture', e);
-      res.status(500).send('failed to start capture: ' + e);
-      await cleanup('capture failed');
-      return;
-    }
+    const start = body.start === undefined ? Date.now() : (typeof body.start === 'number' ? body.start : Date.parse(body.start));
+    if (!isFinite(start)) errors.push('start must be an ISO date or epoch milliseconds');
 
-    // Wait for stream slot
-    const slotOk = await waitForStreamSlot(QUEUE_WAIT_MS);
-    if (!slotOk) {
-      res.status(429).send('Too many concurrent streams (timed out waiting for a slot)');
-      await cleanup('queue timeout');
-      return;
+    const duration = Number(body.duration);
+    if (!(duration >= 1) || duration > RECORDING_MAX_MINUTES) {
+      errors.push('duration must be a number of minutes between 1 and ' + RECORDING_MAX_MINUTES);
     }
 
-    activeStreams++;
-    cleanup._countedStream = true;
-    console.log('[Streams] Active:', activeStreams);
+    if (errors.length) return { errors: errors };
+    return {
+      job: {
+        id: crypto.randomBytes(4).toString('hex'),
+        channel: channelKey,
+        title: body.title ? String(body.title) : null,
+        start: new Date(start).toISOString(),
+        end: new Date(start + duration * 60000).toISOString(),
+        duration: duration,
+        status: 'scheduled',
+        createdAt: new Date().toISOString(),
+        file: null,
+        bytes: 0,
+        error: null,
+      },
+    };
+  }
 
-    // Use tileClickDirect to select channel
-    try {
-      console.log('[Channel] Selecting:', channelName, '(' + channel.name + ')');
-      const result = await selectChannelDirect(page, channel.slug);
-      
-      if (!result.success) {
-        console.error('[Channel] Selection failed:', result.reason);
-        res.status(500).send('Failed to select channel: ' + result.reason);
-        await cleanup('channel select failed');
-        return;
-      }
+  function describeRecording(job) {
+    const active = activeRecordings.get(job.id);
+    return active ? Object.assign({}, job, { bytes: active.file.bytesWritten }) : job;
+  }
 
-      // Wait for video to be ready
-      await page.waitForSelector('video', { timeout: 60000 });
-      await page.waitForFunction(
-        function () {
-          const v = document.querySelector('video');
-          if (!v) return false;
-          if (v.readyState < 3) return false;
-          return v.currentTime > 0.5;
-        },
-        { timeout: 60000 }
-      );
+  app.get('/api/recordings', function (req, res) {
+    const list = recordings.slice().sort(function (a, b) {
+      return Date.parse(a.start) - Date.parse(b.start);
+    });
+    res.json(list.map(describeRecording));
+  });
 
-      console.log('✅ [Channel] Playback started:', channelName);
-      
-      // Fullscreen toggle after playback starts
-      try {
-        await runKayoFullscreenToggle(page);
-        // Wait for fullscreen transition and stream to stabilize before minimizing
-        await delay(100);
-        await minimizeWindow(page);
-      } catch (e) {
-        console.error('[Automation] Error during fullscreen toggle:', e);
-      }
-    } catch (e) {
-      console.error('[Channel] Error during selection:', e);
-      res.status(500).send('Channel selection error: ' + e);
-      await cleanup('automation failed');
+  app.post('/api/recordings', function (req, res) {
+    const parsed = parseRecordingRequest(req.body || {});
+    if (parsed.errors) {
+      res.status(400).json({ errors: parsed.errors });
       return;
     }
 
-    // Pipe the stream to response
-    try {
-      res.status(200);
-      res.setHeader('Cache-Control', 'no-store');
-      res.setHeader('Connection', 'keep-alive');
-
-      if (argv.outputFormat === 'mpegts') {
-        // Transcode to MPEG-TS
-        res.setHeader('Content-Type', 'video/mp2t');
-
-        ffmpegProcess = spawnMpegTsTranscoder(
-          encodingParams.audioBitsPerSecond,
-          function (err) {
-            console.error('[FFmpeg] Error:', err);
-            cleanup('ffmpeg error');
-          },
-          channelName
-        );
-
-        console.log('[Stream] Piping WebM -> FFmpeg -> MPEG-TS for', channelName);
-        stream.pipe(ffmpegProcess.stdin);
-        ffmpegProcess.stdout.pipe(res);
-      } else {
-        // Direct WebM streaming
-        res.setHeader('Content-Type', encodingParams.mimeType);
-        console.log('[Stream] Piping WebM directly for', channelName);
-        stream.pipe(res);
-      }
+    recordings.push(parsed.job);
+    saveRecordings();
+    console.log('[DVR] Scheduled', parsed.job.id + ':', parsed.job.channel, parsed.job.start, 'for', parsed.job.duration, 'min');
+    checkRecordings();
+    res.status(201).json(describeRecording(parsed.job));
+  });
 
-      if (res.flushHeaders) res.flushHeaders();
-    } catch (e) {
-      console.log('failed to pipe stream', e);
-      res.status(500).send('failed to pipe stream: ' + e);
-      await cleanup('pipe failed');
+  app.delete('/api/recordings/:id', function (req, res) {
+    const job = recordings.find(function (j) { return j.id === req.params.id; });
+    if (!job) {
+      res.status(404).json({ error: 'Recording not found' });
       return;
     }
-  }
 
-  async function handleGenericStream(req, res, u) {
+    // Stopping keeps whatever was already written to disk
+    if (job.status === 'recording') finishRecording(job, 'cancelled');
+    recordings = recordings.filter(function (j) { return j !== job; });
+    saveRecordings();
+    console.log('[DVR] Deleted', job.id);
+    res.json(job);
+  });
+
+  loadRecordings();
+  setInterval(checkRecordings, RECORDING_CHECK_MS);
+  // ---------------------------------------------------
+
+  // automation is an optional recipe, { name, steps }, run once the page loads
+  async function handleGenericStream(req, res, u, automation) {
     // Legacy generic streaming (no channel selection)
     let page = null;
     let stream = null;
     let ffmpegProcess = null;
+    let phase = 'starting';
+    let bytesOut = 0;
+    const openedAt = Date.now();
+    const client = { kind: 'http', address: clientAddress(req), since: openedAt };
 
     const cleanup = async function (reason) {
       if (cleanup._done) return;
       cleanup._done = true;
+      phase = 'closed';
+      sessions.delete(session.id);
       console.log('[cleanup]', reason);
 
       try { if (ffmpegProcess) ffmpegProcess.kill(); } catch (e) {}
       try { if (stream) stream.destroy(); } catch (e) {}
+      // Stopped through the sessions API; otherwise the response is done
+      if (!res.headersSent) res.status(503).send('Session stopped');
+      else res.end();
 
       if (cleanup._countedStream) {
         cleanup._countedStream = false;
@@ -1157,6 +6749,27 @@ async function main() {
     cleanup._done = false;
     cleanup._countedStream = false;
 
+    const session = {
+      id: crypto.randomBytes(4).toString('hex'),
+      cleanup: cleanup,
+      currentPage: function () { return page; },
+      describe: function () {
+        return {
+          id: session.id,
+          kind: 'url',
+          url: u,
+          recipe: automation ? automation.name : null,
+          clients: [{ kind: client.kind, address: client.address, since: new Date(client.since).toISOString() }],
+          viewers: cleanup._done ? 0 : 1,
+          startedAt: new Date(openedAt).toISOString(),
+          phase: phase,
+          bytesOut: bytesOut,
+          ffmpegPid: ffmpegProcess && ffmpegProcess.process.pid || null,
+        };
+      },
+    };
+    sessions.set(session.id, session);
+
     req.on('aborted', function () { cleanup('req aborted'); });
     res.on('close', function () { cleanup('res close'); });
     res.on('error', function (err) { cleanup('res error ' + err); });
@@ -1164,26 +6777,53 @@ async function main() {
     try {
       await getCurrentBrowser();
       page = await acquirePage();
+      phase = 'navigating';
       await page.goto(u, { waitUntil: 'domcontentloaded', timeout: 60000 });
       await setWindowBounds(page);
     } catch (e) {
+      if (cleanup._done) return;
       console.log('failed to goto', u, e);
       res.status(500).send('failed to goto: ' + e);
       await cleanup('goto failed');
       return;
     }
 
+    if (cleanup._done) return;
+
+    phase = 'queued';
     const slotOk = await waitForStreamSlot(QUEUE_WAIT_MS);
     if (!slotOk) {
+      incCounter('cc4c_rejections_total', { route: 'generic' });
       res.status(429).send('Too many concurrent streams');
       await cleanup('queue timeout');
       return;
     }
+    if (cleanup._done) {
+      // Hand the slot we were given to the next waiter
+      notifyStreamSlot();
+      return;
+    }
 
     activeStreams++;
     cleanup._countedStream = true;
     console.log('[Streams] Active:', activeStreams);
 
+    // The recipe runs on the slot taken above, so it counts against --tuners
+    if (automation) {
+      phase = 'selecting';
+      const started = Date.now();
+      try {
+        const report = await runRecipe(page, automation.name, automation.steps);
+        console.log('[Recipe] ' + automation.name + ' done in ' + (Date.now() - started) + 'ms (' + report.length + ' steps)');
+      } catch (e) {
+        if (cleanup._done) return;
+        res.status(500).send(e.message + (e.steps ? '\n' + formatRecipeReport(e.steps) : '') + '\n');
+        await cleanup('recipe failed');
+        return;
+      }
+      if (cleanup._done) return;
+    }
+
     try {
       stream = await getStream(page, {
         video: true,
@@ -1202,6 +6842,10 @@ async function main() {
           },
         },
       });
+      if (cleanup._done) {
+        stream.destroy();
+        return;
+      }
 
       stream.on('error', function (err) {
         console.log('Stream error:', err);
@@ -1212,7 +6856,7 @@ async function main() {
       res.setHeader('Cache-Control', 'no-store');
       res.setHeader('Connection', 'keep-alive');
 
-      if (argv.outputFormat === 'mpegts') {
+      if (argv.outputFormat !== 'webm') {
         res.setHeader('Content-Type', 'video/mp2t');
 
         ffmpegProcess = spawnMpegTsTranscoder(
@@ -1225,57 +6869,114 @@ async function main() {
         );
 
         stream.pipe(ffmpegProcess.stdin);
+        ffmpegProcess.stdout.on('data', function (chunk) { bytesOut += chunk.length; });
         ffmpegProcess.stdout.pipe(res);
       } else {
         res.setHeader('Content-Type', encodingParams.mimeType);
+        stream.on('data', function (chunk) { bytesOut += chunk.length; });
         stream.pipe(res);
       }
 
+      phase = 'playing';
       if (res.flushHeaders) res.flushHeaders();
     } catch (e) {
+      if (cleanup._done) return;
       console.log('failed to start stream', e);
       res.status(500).send('failed to start stream: ' + e);
       await cleanup('stream failed');
     }
   }
 
-  app.listen(argv.port, function () {
+  // ---------------- Shutdown ----------------
+  // SIGTERM (docker stop) or SIGINT: stop taking requests, end every stream,
+  // save running recordings for the next start, close Chrome and say goodbye
+  // on SSDP. A second signal, or SHUTDOWN_TIMEOUT_MS passing, exits at once.
+  const SHUTDOWN_TIMEOUT_MS = 15000;
+  const httpServers = [];
+  let hdhrDiscovery = null;
+  let ssdp = null;
+
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      console.log('[Shutdown] ' + signal + ' again, exiting now');
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log('[Shutdown] ' + signal + ' received, ending ' + sessions.size + ' session(s)');
+    setTimeout(function () {
+      console.error('[Shutdown] Still not done after ' + (SHUTDOWN_TIMEOUT_MS / 1000) + 's, exiting');
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    httpServers.forEach(function (server) { server.close(); });
+    try { if (hdhrDiscovery) hdhrDiscovery.close(); } catch (e) {}
+    const goodbye = ssdp ? ssdp.byebye() : Promise.resolve();
+
+    await stopRecordings();
+    hlsSessions.forEach(function (session) { session.stop('shutting down'); });
+    profileEncodes.forEach(function (encode) { encode.stop('shutting down'); });
+    await Promise.all(Array.from(sessions.values()).map(function (session) {
+      return session.cleanup('shutting down');
+    }));
+    warmPages.slice().forEach(function (entry) { dropWarmPage(entry); });
+    await closeAuthPage('shutting down');
+    await closeBrowser();
+    console.log('[Shutdown] Streams ended and Chrome closed');
+
+    // Whatever is left is idle keep-alive or a client that stopped reading
+    httpServers.forEach(function (server) { server.closeAllConnections(); });
+    await goodbye;
+    process.exit(0);
+  }
+
+  process.on('SIGTERM', function () { shutdown('SIGTERM'); });
+  process.on('SIGINT', function () { shutdown('SIGINT'); });
+  // ---------------------------------------------------
+
+  httpServers.push(app.listen(argv.port, function () {
     console.log('Chrome Capture server listening on port', argv.port);
-    console.log('[Streams] Max:', MAX_CONCURRENT_STREAMS, ' QueueWaitMs:', QUEUE_WAIT_MS);
+    console.log('[Streams] Max:', argv.tuners, ' QueueWaitMs:', QUEUE_WAIT_MS);
     console.log('[Output] Format:', argv.outputFormat);
     console.log('[Channels] Available:', Object.keys(CHANNELS).length);
     console.log('[HDHomeRun] Emulation enabled on port', argv.port);
     console.log('[HDHomeRun] Device ID:', HDHR_DEVICE_ID);
     console.log('[HDHomeRun] To add in Plex: Enter this server address:', 'http://YOUR_IP:' + argv.port);
 
+    // Network discovery so clients find the tuner without typing the address
+    const discoveryInfo = {
+      deviceId: HDHR_DEVICE_ID,
+      deviceAuth: HDHR_DEVICE_AUTH,
+      port: argv.port,
+      tunerCount: function () { return argv.tuners; },
+    };
+    hdhrDiscovery = startHdhrDiscovery(discoveryInfo);
+    ssdp = startSsdp(discoveryInfo);
+
+    startWarmPool();
+
     // Optional: Also listen on port 5004 for standard HDHomeRun discovery
     if (argv.port !== HDHR_PORT) {
       const hdhrApp = express();
-      
-      // Copy HDHomeRun routes to the standard port
-      if (app._router && app._router.stack) {
-        hdhrApp.get('/discover.json', app._router.stack.find(r => r.route && r.route.path === '/discover.json').route.stack[0].handle);
-        hdhrApp.get('/device.xml', app._router.stack.find(r => r.route && r.route.path === '/device.xml').route.stack[0].handle);
-        hdhrApp.get('/lineup.json', app._router.stack.find(r => r.route && r.route.path === '/lineup.json').route.stack[0].handle);
-        hdhrApp.get('/lineup_status.json', app._router.stack.find(r => r.route && r.route.path === '/lineup_status.json').route.stack[0].handle);
-        hdhrApp.get('/status.json', app._router.stack.find(r => r.route && r.route.path === '/status.json').route.stack[0].handle);
-        hdhrApp.post('/lineup.post', app._router.stack.find(r => r.route && r.route.path === '/lineup.post').route.stack[0].handle);
-      }
-      
-      // Redirect stream requests to main port
+
+      // Same HDHomeRun routes on the standard port
+      hdhrApp.use(accessControl);
+      hdhrApp.use(hdhrRouter);
+
+      // Redirect stream requests to main port, keeping the token
       hdhrApp.get('/stream/:channelName', function (req, res) {
-        res.redirect(req.protocol + '://' + req.hostname + ':' + argv.port + '/stream/' + req.params.channelName);
+        const query = req.originalUrl.indexOf('?') === -1 ? '' : req.originalUrl.slice(req.originalUrl.indexOf('?'));
+        res.redirect(req.protocol + '://' + req.hostname + ':' + argv.port + '/stream/' + req.params.channelName + query);
       });
 
-      hdhrApp.listen(HDHR_PORT, function () {
+      httpServers.push(hdhrApp.listen(HDHR_PORT, function () {
         console.log('[HDHomeRun] Also listening on standard port', HDHR_PORT);
       }).on('error', function (err) {
         if (err.code === 'EADDRINUSE') {
           console.log('[HDHomeRun] Port', HDHR_PORT, 'already in use, using main port', argv.port, 'only');
         }
-      });
+      }));
     }
-  });
+  }));
 }
 
 main().catch(function (err) {